@@ -0,0 +1,255 @@
+// ------------------------------------------------------
+// Armazenamento dos arquivos de fotos dos membros
+// ------------------------------------------------------
+// Todos os drivers expõem a mesma interface (chave = nome do arquivo):
+//
+//   const armazenamento = criarArmazenamentoFotos("s3", { ... });
+//   await armazenamento.salvar(chave, buffer, "image/jpeg");
+//   await armazenamento.ler(chave);            // Buffer ou null
+//   await armazenamento.listar();              // [chave, ...]
+//   await armazenamento.mover(chave, novaChave);
+//   await armazenamento.remover(chave);
+//   await armazenamento.url(chave, { origem }); // URL para o frontend
+//   await armazenamento.lerIndice();           // índice de fotos ou null
+//   await armazenamento.salvarIndice(indice);
+//
+// "local" -> diretório em disco (padrão: uploads/member-photos), servido pelo
+//            express.static de /uploads. A URL usa urlBase ou, sem ela, a
+//            origem da requisição. O índice fica em arquivoIndice.
+// "s3"    -> bucket S3 ou compatível (MinIO, R2, mock-s3.js). Sem urlPublica,
+//            as URLs são assinadas e expiram em expiracaoUrl segundos. O
+//            índice é o objeto chaveIndice do mesmo bucket, fora do prefixo
+//            das fotos, para ser compartilhado entre instâncias.
+const path = require("path");
+const fs = require("fs");
+
+const TIPOS_ARMAZENAMENTO = ["local", "s3"];
+
+const TIPOS_CONTEUDO = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+function tipoDoArquivo(chave) {
+  return (
+    TIPOS_CONTEUDO[path.extname(chave).toLowerCase()] ||
+    "application/octet-stream"
+  );
+}
+
+function juntarUrl(base, caminho) {
+  return `${String(base).replace(/\/+$/, "")}/${caminho.replace(/^\/+/, "")}`;
+}
+
+function criarArmazenamentoLocal(options) {
+  const diretorio =
+    options.diretorio || path.join(__dirname, "uploads", "member-photos");
+  const arquivoIndice =
+    options.arquivoIndice || path.join(__dirname, "data", "fotos-indice.json");
+  const caminhoPublico = options.caminhoPublico || "/uploads/member-photos";
+  const caminho = (chave) => path.join(diretorio, path.basename(chave));
+
+  return {
+    nome: "local",
+    diretorio: diretorio,
+    async salvar(chave, conteudo) {
+      fs.mkdirSync(diretorio, { recursive: true });
+      fs.writeFileSync(caminho(chave), conteudo);
+    },
+    async ler(chave) {
+      return fs.existsSync(caminho(chave))
+        ? fs.readFileSync(caminho(chave))
+        : null;
+    },
+    async listar() {
+      return fs.existsSync(diretorio) ? fs.readdirSync(diretorio) : [];
+    },
+    async mover(chave, novaChave) {
+      fs.renameSync(caminho(chave), caminho(novaChave));
+    },
+    async remover(chave) {
+      if (!fs.existsSync(caminho(chave))) return false;
+      fs.unlinkSync(caminho(chave));
+      return true;
+    },
+    async url(chave, { origem } = {}) {
+      const relativa = `${caminhoPublico}/${encodeURIComponent(chave)}`;
+      const base = options.urlBase || origem;
+      return base ? juntarUrl(base, relativa) : relativa;
+    },
+    async lerIndice() {
+      return fs.existsSync(arquivoIndice)
+        ? JSON.parse(fs.readFileSync(arquivoIndice, "utf8"))
+        : null;
+    },
+    async salvarIndice(indice) {
+      fs.mkdirSync(path.dirname(arquivoIndice), { recursive: true });
+      const temporario = `${arquivoIndice}.tmp`;
+      fs.writeFileSync(temporario, JSON.stringify(indice, null, 2));
+      fs.renameSync(temporario, arquivoIndice);
+    },
+  };
+}
+
+function criarArmazenamentoS3(options) {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    ListObjectsV2Command,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+  } = require("@aws-sdk/client-s3");
+  const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+  const bucket = options.bucket;
+  const prefixo =
+    options.prefixo === undefined ? "member-photos/" : options.prefixo;
+  const expiracaoUrl = parseInt(options.expiracaoUrl) || 60 * 60; // 1 hora
+  const chaveIndice = options.chaveIndice || "indices/fotos-indice.json";
+  const cliente = new S3Client({
+    region: options.regiao || "us-east-1",
+    endpoint: options.endpoint || undefined,
+    forcePathStyle: Boolean(options.pathStyle),
+    // Serviços compatíveis (MinIO, R2...) nem sempre aceitam os checksums novos
+    requestChecksumCalculation: "WHEN_REQUIRED",
+    responseChecksumValidation: "WHEN_REQUIRED",
+    credentials: options.chaveAcesso
+      ? {
+          accessKeyId: options.chaveAcesso,
+          secretAccessKey: options.chaveSecreta,
+        }
+      : undefined,
+  });
+  const objeto = (chave) => `${prefixo}${path.basename(chave)}`;
+  const naoEncontrado = (error) =>
+    error.name === "NoSuchKey" ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+  return {
+    nome: "s3",
+    async salvar(chave, conteudo, tipoConteudo) {
+      await cliente.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objeto(chave),
+          Body: conteudo,
+          ContentType: tipoConteudo || tipoDoArquivo(chave),
+        })
+      );
+    },
+    async ler(chave) {
+      try {
+        const resposta = await cliente.send(
+          new GetObjectCommand({ Bucket: bucket, Key: objeto(chave) })
+        );
+        return Buffer.from(await resposta.Body.transformToByteArray());
+      } catch (error) {
+        if (naoEncontrado(error)) return null;
+        throw error;
+      }
+    },
+    async listar() {
+      const chaves = [];
+      let continuacao;
+      do {
+        const resposta = await cliente.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefixo,
+            ContinuationToken: continuacao,
+          })
+        );
+        (resposta.Contents || [])
+          .filter((item) => item.Key !== chaveIndice)
+          .forEach((item) => chaves.push(item.Key.substring(prefixo.length)));
+        continuacao = resposta.IsTruncated
+          ? resposta.NextContinuationToken
+          : undefined;
+      } while (continuacao);
+      return chaves.filter(Boolean);
+    },
+    async mover(chave, novaChave) {
+      await cliente.send(
+        new CopyObjectCommand({
+          Bucket: bucket,
+          CopySource: encodeURI(`${bucket}/${objeto(chave)}`),
+          Key: objeto(novaChave),
+        })
+      );
+      await cliente.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: objeto(chave) })
+      );
+    },
+    async remover(chave) {
+      await cliente.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: objeto(chave) })
+      );
+      return true;
+    },
+    async url(chave) {
+      if (options.urlPublica) {
+        return juntarUrl(
+          options.urlPublica,
+          `${prefixo}${encodeURIComponent(path.basename(chave))}`
+        );
+      }
+      return getSignedUrl(
+        cliente,
+        new GetObjectCommand({ Bucket: bucket, Key: objeto(chave) }),
+        { expiresIn: expiracaoUrl }
+      );
+    },
+    async lerIndice() {
+      try {
+        const resposta = await cliente.send(
+          new GetObjectCommand({ Bucket: bucket, Key: chaveIndice })
+        );
+        return JSON.parse(await resposta.Body.transformToString());
+      } catch (error) {
+        if (naoEncontrado(error)) return null;
+        throw error;
+      }
+    },
+    async salvarIndice(indice) {
+      await cliente.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: chaveIndice,
+          Body: JSON.stringify(indice, null, 2),
+          ContentType: "application/json",
+        })
+      );
+    },
+  };
+}
+
+// options local: { diretorio, caminhoPublico, urlBase, arquivoIndice }
+// options s3:    { bucket, prefixo, regiao, endpoint, pathStyle, chaveAcesso,
+//                  chaveSecreta, urlPublica, expiracaoUrl, chaveIndice }
+function criarArmazenamentoFotos(tipo, options = {}) {
+  switch (tipo) {
+    case "local":
+      return criarArmazenamentoLocal(options);
+    case "s3":
+      if (!options.bucket) {
+        throw new Error("S3_BUCKET não configurado para o armazenamento s3");
+      }
+      return criarArmazenamentoS3(options);
+    default:
+      throw new Error(
+        `Armazenamento de fotos desconhecido: "${tipo}" (use ${TIPOS_ARMAZENAMENTO.join(
+          ", "
+        )})`
+      );
+  }
+}
+
+module.exports = {
+  criarArmazenamentoFotos,
+  TIPOS_ARMAZENAMENTO,
+  tipoDoArquivo,
+};
@@ -0,0 +1,365 @@
+// ------------------------------------------------------
+// Backend de dados local (arquivo JSON) - alternativa ao Google Apps Script
+// ------------------------------------------------------
+// Responde nos mesmos formatos do Apps Script para que o server.js (e o
+// mock do Apps Script) possam usá-lo sem adaptação.
+//
+// Estrutura do arquivo:
+// {
+//   "membros": [{ "Nome", "RI", "GAPE", "Cargo", "Status", "Lider", "Congregacao" }],
+//   (membros desativados ficam com "Status": "Inativo")
+//   "presencas": [{ "nome", "membroId", "grupo", "data": "dd/mm/aaaa", "hora": "HH:MM", "status": "presente" | "ausente" }]
+// }
+const path = require("path");
+const fs = require("fs");
+
+function normalizeString(str) {
+  if (typeof str !== "string") return "";
+  return str
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim();
+}
+
+function dataDeHoje() {
+  return new Date().toLocaleDateString("pt-BR", {
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+  });
+}
+
+function horaAtual() {
+  return new Date().toLocaleTimeString("pt-BR", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// "dd/mm/aaaa" -> "aaaa-mm-dd" para ordenar e comparar datas como texto
+function chaveData(data) {
+  const [dia, mes, ano] = String(data || "").split("/");
+  return `${ano}-${mes}-${dia}`;
+}
+
+// Filtros aceitos pelas consultas: mes, ano e grupo
+function presencaAtendeFiltros(presenca, params = {}) {
+  const [, mes, ano] = String(presenca.data || "").split("/");
+  if (params.mes && parseInt(mes) !== parseInt(params.mes)) return false;
+  if (params.ano && parseInt(ano) !== parseInt(params.ano)) return false;
+  if (params.grupo && presenca.grupo !== params.grupo) return false;
+  return true;
+}
+
+// options: { arquivo, semente, dados, somenteMemoria }
+// "dados" + "somenteMemoria" permitem usar o backend sem tocar no disco (mock/testes)
+function criarBackendLocal(options = {}) {
+  const arquivo =
+    options.arquivo || path.join(__dirname, "data", "banco-local.json");
+  let banco = { membros: [], presencas: [] };
+
+  if (options.dados) {
+    banco = JSON.parse(JSON.stringify(options.dados));
+    banco.membros = banco.membros || [];
+    banco.presencas = banco.presencas || [];
+  } else if (fs.existsSync(arquivo)) {
+    banco = JSON.parse(fs.readFileSync(arquivo, "utf8"));
+    banco.membros = banco.membros || [];
+    banco.presencas = banco.presencas || [];
+  } else if (options.semente && fs.existsSync(options.semente)) {
+    // Primeiro uso: copia os dados iniciais (ex.: exportação da planilha)
+    banco = JSON.parse(fs.readFileSync(options.semente, "utf8"));
+    salvar();
+  }
+
+  function salvar() {
+    if (options.somenteMemoria) return;
+    fs.mkdirSync(path.dirname(arquivo), { recursive: true });
+    const temporario = `${arquivo}.tmp`;
+    fs.writeFileSync(temporario, JSON.stringify(banco, null, 2));
+    fs.renameSync(temporario, arquivo);
+  }
+
+  function buscarMembro(nome, id) {
+    const chave = normalizeString(nome);
+    return (
+      (id && banco.membros.find((m) => m.ID === id)) ||
+      banco.membros.find((m) => normalizeString(m.Nome) === chave)
+    );
+  }
+
+  // Registros com membroId pertencem ao membro mesmo que o nome tenha mudado
+  function presencaDoMembro(presenca, nome, id) {
+    if (id && presenca.membroId) return presenca.membroId === id;
+    return normalizeString(presenca.nome) === normalizeString(nome);
+  }
+
+  // Presenças do membro, da mais recente para a mais antiga
+  function presencasDoMembro(registros, nome, id) {
+    return registros
+      .filter((p) => presencaDoMembro(p, nome, id))
+      .sort((a, b) => chaveData(b.data).localeCompare(chaveData(a.data)))
+      .map((p) => ({ data: p.data, hora: p.hora, grupo: p.grupo }));
+  }
+
+  function presentes(params) {
+    return banco.presencas.filter(
+      (p) => p.status !== "ausente" && presencaAtendeFiltros(p, params)
+    );
+  }
+
+  // Aplica uma ação de presença ('marcar', 'remover', 'ausencia', ...) a um membro
+  // hora: horário em que a presença foi marcada (reenvios da fila de escritas)
+  function aplicarAcao(nome, acao, data, grupoInformado, id, hora) {
+    const membro = buscarMembro(nome, id);
+    if (!membro) {
+      return { nome: nome, success: false, message: "Membro não encontrado" };
+    }
+
+    const grupo = membro.GAPE || grupoInformado || "N/A";
+    const membroId = id || membro.ID || null;
+    // Só pode haver um registro por membro por dia
+    banco.presencas = banco.presencas.filter(
+      (p) => !(presencaDoMembro(p, membro.Nome, membroId) && p.data === data)
+    );
+
+    switch (acao) {
+      case "remover":
+      case "deletar":
+      case "delete":
+        return {
+          nome: membro.Nome,
+          success: true,
+          message: "Presença removida",
+        };
+      case "ausencia":
+      case "falta":
+        banco.presencas.push({
+          nome: membro.Nome,
+          membroId: membroId,
+          grupo: grupo,
+          data: data,
+          hora: hora || horaAtual(),
+          status: "ausente",
+        });
+        return {
+          nome: membro.Nome,
+          success: true,
+          message: "Ausência registrada",
+        };
+      default:
+        banco.presencas.push({
+          nome: membro.Nome,
+          membroId: membroId,
+          grupo: grupo,
+          data: data,
+          hora: hora || horaAtual(),
+          status: "presente",
+        });
+        return {
+          nome: membro.Nome,
+          success: true,
+          message: "Presença registrada",
+        };
+    }
+  }
+
+  return {
+    nome: "local",
+
+    async getMembros() {
+      return { success: true, membros: banco.membros };
+    },
+
+    async getLastPresencesForAllMembers() {
+      const ultimas = {};
+      for (const presenca of presentes()) {
+        const atual = ultimas[presenca.nome];
+        if (!atual || chaveData(presenca.data) > chaveData(atual.data)) {
+          ultimas[presenca.nome] = { data: presenca.data, hora: presenca.hora };
+        }
+      }
+      return { success: true, data: ultimas };
+    },
+
+    async presencasTotal(params = {}) {
+      const totais = {};
+      for (const presenca of presentes(params)) {
+        totais[presenca.nome] = (totais[presenca.nome] || 0) + 1;
+      }
+      return { success: true, data: totais };
+    },
+
+    async getPresencesByMember(nome, params = {}) {
+      const presences = presencasDoMembro(presentes(params), nome, params.id);
+      return { success: true, nome: nome, total: presences.length, presences };
+    },
+
+    // Histórico de todos os membros em uma única consulta:
+    // { success, data: [{ nome, id, total, presences }] }
+    async getPresencesForAllMembers(params = {}) {
+      const registros = presentes(params);
+      const data = banco.membros.map((membro) => {
+        const presences = presencasDoMembro(registros, membro.Nome, membro.ID);
+        return {
+          nome: membro.Nome,
+          id: membro.ID || null,
+          total: presences.length,
+          presences: presences,
+        };
+      });
+      return { success: true, data: data };
+    },
+
+    async getDetailedSummary(params = {}) {
+      const porGrupo = {};
+      for (const membro of banco.membros) {
+        const grupo = membro.GAPE || "N/A";
+        if (params.grupo && grupo !== params.grupo) continue;
+        porGrupo[grupo] = porGrupo[grupo] || {
+          totalMembros: 0,
+          totalPresencas: 0,
+        };
+        porGrupo[grupo].totalMembros++;
+      }
+      for (const presenca of presentes(params)) {
+        if (porGrupo[presenca.grupo]) porGrupo[presenca.grupo].totalPresencas++;
+      }
+      return {
+        success: true,
+        data: {
+          totalMembros: Object.values(porGrupo).reduce(
+            (acc, g) => acc + g.totalMembros,
+            0
+          ),
+          totalPresencas: Object.values(porGrupo).reduce(
+            (acc, g) => acc + g.totalPresencas,
+            0
+          ),
+          porGrupo: porGrupo,
+        },
+      };
+    },
+
+    // Faltas = reuniões do grupo (dias com algum registro) sem presença do membro
+    async getFaltas(params = {}) {
+      const registros = banco.presencas.filter((p) =>
+        presencaAtendeFiltros(p, params)
+      );
+      const faltas = [];
+
+      for (const membro of banco.membros) {
+        if (params.grupo && membro.GAPE !== params.grupo) continue;
+        const reunioes = new Set(
+          registros.filter((p) => p.grupo === membro.GAPE).map((p) => p.data)
+        );
+        const datasPresente = registros
+          .filter(
+            (p) =>
+              p.status !== "ausente" &&
+              presencaDoMembro(p, membro.Nome, membro.ID)
+          )
+          .map((p) => p.data);
+        const totalFaltas = [...reunioes].filter(
+          (d) => !datasPresente.includes(d)
+        ).length;
+        const ultimaPresenca = datasPresente.sort((a, b) =>
+          chaveData(b).localeCompare(chaveData(a))
+        )[0];
+
+        faltas.push({
+          nome: membro.Nome,
+          grupo: membro.GAPE || "N/A",
+          faltas: totalFaltas,
+          reunioes: reunioes.size,
+          ultimaPresenca: ultimaPresenca || "N/A",
+        });
+      }
+
+      return { success: true, data: faltas };
+    },
+
+    async criarMembro(membro) {
+      if (buscarMembro(membro.Nome)) {
+        throw new Error(`Já existe um membro com o nome "${membro.Nome}"`);
+      }
+      if (banco.membros.some((m) => String(m.RI) === String(membro.RI))) {
+        throw new Error(`Já existe um membro com o RI "${membro.RI}"`);
+      }
+      const novo = { Status: "Ativo", ...membro };
+      banco.membros.push(novo);
+      salvar();
+      return { success: true, membro: novo };
+    },
+
+    // Atualização parcial pelo RI; renomear leva junto o histórico de presenças
+    async atualizarMembro(ri, campos) {
+      const membro = banco.membros.find((m) => String(m.RI) === String(ri));
+      if (!membro) {
+        const erro = new Error(`Membro com RI "${ri}" não encontrado`);
+        erro.status = 404;
+        throw erro;
+      }
+      if (
+        campos.Nome &&
+        normalizeString(campos.Nome) !== normalizeString(membro.Nome)
+      ) {
+        if (buscarMembro(campos.Nome)) {
+          throw new Error(`Já existe um membro com o nome "${campos.Nome}"`);
+        }
+        banco.presencas
+          .filter(
+            (p) => normalizeString(p.nome) === normalizeString(membro.Nome)
+          )
+          .forEach((p) => (p.nome = campos.Nome));
+      }
+      if (
+        campos.RI &&
+        String(campos.RI) !== String(ri) &&
+        banco.membros.some((m) => String(m.RI) === String(campos.RI))
+      ) {
+        throw new Error(`Já existe um membro com o RI "${campos.RI}"`);
+      }
+
+      Object.assign(membro, campos);
+      salvar();
+      return { success: true, membro: membro };
+    },
+
+    // Mesmo payload do POST ao Apps Script: { nome, acao } ou { acao: 'lote', ... }
+    async registrarPresenca(body = {}) {
+      const acao = body.acao || body.action;
+      if (acao === "lote") {
+        const data = body.data || dataDeHoje();
+        const resultados = (body.registros || []).map((r) =>
+          aplicarAcao(r.nome, r.acao, data, body.grupo, r.id, body.hora)
+        );
+        salvar();
+        return { success: true, resultados: resultados };
+      }
+
+      if (!body.nome) {
+        throw new Error("Nome não informado");
+      }
+      const resultado = aplicarAcao(
+        body.nome,
+        acao,
+        body.data || dataDeHoje(),
+        body.grupo,
+        body.id,
+        body.hora
+      );
+      if (!resultado.success) {
+        // aplicarAcao só falha quando o membro não existe
+        const erro = new Error(resultado.message);
+        erro.status = 404;
+        throw erro;
+      }
+      salvar();
+      return resultado;
+    },
+  };
+}
+
+module.exports = { criarBackendLocal, normalizeString };
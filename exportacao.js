@@ -0,0 +1,98 @@
+// ------------------------------------------------------
+// Geração de arquivos CSV e XLSX para as rotas de exportação
+// ------------------------------------------------------
+// Cada planilha é descrita como:
+//
+//   {
+//     chave: "membros", // Usada em ?tabela= para escolher a planilha do CSV
+//     nome: "Membros",
+//     colunas: [{ titulo: "Nome", valor: (linha) => linha.nome, largura: 30 }],
+//     linhas: [...],
+//   }
+//
+// O CSV usa ";" como separador e BOM UTF-8 para o Excel em português abrir
+// acentos e colunas corretamente. Textos que o Excel leria como fórmula
+// (começando com =, +, -, @, tab ou CR) ganham um "'" na frente, no CSV e no
+// XLSX, já que nomes e observações vêm de dados digitados pelos usuários.
+const ExcelJS = require("exceljs");
+
+const FORMATOS_EXPORTACAO = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Números continuam números; só textos são neutralizados
+function protegerFormula(valor) {
+  return typeof valor === "string" && /^[=+\-@\t\r]/.test(valor)
+    ? `'${valor}`
+    : valor;
+}
+
+function valorDaCelula(coluna, linha) {
+  const valor = coluna.valor(linha);
+  return valor === undefined || valor === null ? "" : protegerFormula(valor);
+}
+
+function escaparCampoCsv(valor) {
+  const texto = String(valor);
+  return /[;"\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+function gerarCsv(planilha) {
+  const linhas = [
+    planilha.colunas
+      .map((c) => escaparCampoCsv(protegerFormula(c.titulo)))
+      .join(";"),
+    ...planilha.linhas.map((linha) =>
+      planilha.colunas
+        .map((c) => escaparCampoCsv(valorDaCelula(c, linha)))
+        .join(";")
+    ),
+  ];
+  return Buffer.from(`\uFEFF${linhas.join("\r\n")}\r\n`, "utf8");
+}
+
+async function gerarXlsx(planilhas) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  for (const planilha of planilhas) {
+    // O Excel limita o nome da aba a 31 caracteres
+    const aba = workbook.addWorksheet(planilha.nome.substring(0, 31), {
+      views: [{ state: "frozen", ySplit: 1 }],
+    });
+    aba.columns = planilha.colunas.map((c) => ({
+      header: protegerFormula(c.titulo),
+      width: c.largura || 18,
+    }));
+    aba.getRow(1).font = { bold: true };
+    planilha.linhas.forEach((linha) =>
+      aba.addRow(planilha.colunas.map((c) => valorDaCelula(c, linha)))
+    );
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// CSV comporta uma única planilha: a primeira, ou a de nome "tabela"
+async function gerarArquivoExportacao(formato, planilhas, tabela) {
+  if (formato === "xlsx") {
+    return gerarXlsx(planilhas);
+  }
+
+  const planilha = tabela
+    ? planilhas.find((p) => p.chave === tabela || p.nome === tabela)
+    : planilhas[0];
+  if (!planilha) {
+    const error = new Error(
+      `Tabela inválida: "${tabela}". Use: ${planilhas
+        .map((p) => p.chave || p.nome)
+        .join(", ")}`
+    );
+    error.status = 400;
+    throw error;
+  }
+  return gerarCsv(planilha);
+}
+
+module.exports = { FORMATOS_EXPORTACAO, gerarArquivoExportacao };
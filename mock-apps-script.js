@@ -0,0 +1,259 @@
+// ------------------------------------------------------
+// Mock do Google Apps Script para desenvolvimento e testes automatizados
+// ------------------------------------------------------
+// Implementa os mesmos "tipo" usados pelo server.js (GET) e os POSTs de
+// presenças e de cadastro de membros, com dados vindos de fixtures/. Pode rodar em uma porta local:
+//
+//   node mock-apps-script.js
+//   APPS_SCRIPT_URL=http://localhost:4000/exec APPS_SCRIPT_AUTH_TOKEN=token-de-teste node server.js
+//
+// ou dentro do próprio processo de teste:
+//
+//   const { criarMockAppsScript } = require("./mock-apps-script");
+//   const mock = criarMockAppsScript({ authToken: "abc" });
+//   const servidor = await mock.iniciar(0);
+//   mock.simularFalha("nao-json", { vezes: 1 });
+//
+// Falhas simuladas (também via POST /__mock/falha { modo, vezes, tipo }):
+//   "nao-json"      -> HTML no lugar de JSON (como quando o script trava)
+//   "success-false" -> { success: false, message }
+//   "http-500"      -> status 500
+//   "timeout"       -> não responde até atrasoMs (padrão 60s)
+//   "sem-resultados" -> { success: true } sem o resultado de cada registro
+require("dotenv").config();
+
+const express = require("express");
+const path = require("path");
+const fs = require("fs");
+const { criarBackendLocal } = require("./dados-locais");
+
+const MODOS_FALHA = [
+  "nao-json",
+  "success-false",
+  "http-500",
+  "timeout",
+  "sem-resultados",
+];
+
+function carregarFixtures(diretorio) {
+  const ler = (arquivo) => {
+    const caminho = path.join(diretorio, arquivo);
+    return fs.existsSync(caminho)
+      ? JSON.parse(fs.readFileSync(caminho, "utf8"))
+      : [];
+  };
+  return {
+    membros: ler("membros.json"),
+    presencas: ler("presencas.json"),
+  };
+}
+
+function criarMockAppsScript(options = {}) {
+  const authToken =
+    options.authToken || process.env.APPS_SCRIPT_AUTH_TOKEN || "token-de-teste";
+  const diretorioFixtures =
+    options.diretorioFixtures || path.join(__dirname, "fixtures");
+  const dadosIniciais = options.dados || carregarFixtures(diretorioFixtures);
+
+  let backend = criarBackendLocal({
+    dados: dadosIniciais,
+    somenteMemoria: true,
+  });
+  let falha = null; // { modo, vezes, tipo, atrasoMs }
+  const requisicoes = []; // Histórico para asserções nos testes
+
+  function simularFalha(modo, config = {}) {
+    if (!MODOS_FALHA.includes(modo)) {
+      throw new Error(`Modo de falha desconhecido: "${modo}"`);
+    }
+    falha = {
+      modo: modo,
+      vezes: config.vezes || Infinity,
+      tipo: config.tipo || null, // Restringe a falha a um "tipo" (ou "POST")
+      atrasoMs: config.atrasoMs || 60 * 1000,
+    };
+  }
+
+  function limparFalha() {
+    falha = null;
+  }
+
+  function resetar() {
+    backend = criarBackendLocal({ dados: dadosIniciais, somenteMemoria: true });
+    falha = null;
+    requisicoes.length = 0;
+  }
+
+  // Retorna true se a requisição foi respondida com uma falha simulada
+  function aplicarFalha(tipo, res) {
+    if (!falha || falha.vezes <= 0) return false;
+    if (falha.tipo && falha.tipo !== tipo) return false;
+    falha.vezes--;
+
+    switch (falha.modo) {
+      case "nao-json":
+        res
+          .status(200)
+          .type("html")
+          .send("<html><body>Script function not found: doGet</body></html>");
+        break;
+      case "success-false":
+        res.status(200).json({
+          success: false,
+          message: "Falha simulada pelo mock do Apps Script",
+        });
+        break;
+      case "http-500":
+        res.status(500).send("Erro interno simulado");
+        break;
+      case "sem-resultados":
+        res.status(200).json({ success: true });
+        break;
+      case "timeout":
+        // Segura a resposta além do timeout do cliente
+        setTimeout(() => {
+          if (!res.headersSent) res.status(200).json({ success: true });
+        }, falha.atrasoMs).unref();
+        break;
+    }
+    return true;
+  }
+
+  const app = express();
+  app.use(express.json({ limit: "1mb" }));
+
+  // Rotas de controle para testes que rodam o mock em outro processo
+  app.post("/__mock/falha", (req, res) => {
+    try {
+      simularFalha(req.body.modo, req.body);
+      res.status(200).json({ success: true, falha: falha });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  });
+  app.delete("/__mock/falha", (req, res) => {
+    limparFalha();
+    res.status(200).json({ success: true });
+  });
+  app.post("/__mock/reset", (req, res) => {
+    resetar();
+    res.status(200).json({ success: true });
+  });
+  app.get("/__mock/requisicoes", (req, res) => {
+    res.status(200).json({ success: true, requisicoes: requisicoes });
+  });
+
+  // O Apps Script real sempre responde 200; erros vêm em { success: false }
+  app.get(["/", "/exec"], async (req, res) => {
+    const { tipo, auth_token, ...params } = req.query;
+    requisicoes.push({ metodo: "GET", tipo: tipo, params: params });
+
+    if (auth_token !== authToken) {
+      return res
+        .status(200)
+        .json({ success: false, message: "Token de autenticação inválido." });
+    }
+    if (aplicarFalha(tipo, res)) return;
+
+    try {
+      let data;
+      switch (tipo) {
+        case "getMembros":
+          data = await backend.getMembros();
+          break;
+        case "getLastPresencesForAllMembers":
+          data = await backend.getLastPresencesForAllMembers();
+          break;
+        case "presencasTotal":
+          data = await backend.presencasTotal(params);
+          break;
+        case "getPresencesByMember": {
+          const { nome, ...filtros } = params;
+          data = await backend.getPresencesByMember(nome, filtros);
+          break;
+        }
+        case "getPresencesForAllMembers":
+          data = await backend.getPresencesForAllMembers(params);
+          break;
+        case "getDetailedSummary":
+          data = await backend.getDetailedSummary(params);
+          break;
+        case "getFaltas":
+          data = await backend.getFaltas(params);
+          break;
+        default:
+          data = { success: false, message: `Tipo desconhecido: "${tipo}"` };
+      }
+      res.status(200).json(data);
+    } catch (error) {
+      res.status(200).json({ success: false, message: error.message });
+    }
+  });
+
+  app.post(["/", "/exec"], async (req, res) => {
+    const { auth_token, ...body } = req.body || {};
+    requisicoes.push({ metodo: "POST", body: body });
+
+    if (auth_token !== authToken) {
+      return res
+        .status(200)
+        .json({ success: false, message: "Token de autenticação inválido." });
+    }
+    if (aplicarFalha("POST", res)) return;
+
+    try {
+      let resultado;
+      switch (body.acao) {
+        case "criarMembro":
+          resultado = await backend.criarMembro(body.membro);
+          break;
+        case "atualizarMembro":
+          resultado = await backend.atualizarMembro(body.ri, body.membro);
+          break;
+        default:
+          resultado = await backend.registrarPresenca(body);
+      }
+      res.status(200).json({ success: true, ...resultado });
+    } catch (error) {
+      res.status(200).json({ success: false, message: error.message });
+    }
+  });
+
+  function iniciar(porta = 0) {
+    return new Promise((resolve) => {
+      const servidor = app.listen(porta, () => resolve(servidor));
+    });
+  }
+
+  return {
+    app,
+    iniciar,
+    simularFalha,
+    limparFalha,
+    resetar,
+    requisicoes,
+    get backend() {
+      return backend;
+    },
+  };
+}
+
+if (require.main === module) {
+  const porta = process.env.MOCK_APPS_SCRIPT_PORT || 4000;
+  const mock = criarMockAppsScript();
+
+  if (process.env.MOCK_FALHA) {
+    mock.simularFalha(process.env.MOCK_FALHA);
+    console.log(
+      `⚠️ Mock iniciando com falha simulada: ${process.env.MOCK_FALHA}`
+    );
+  }
+
+  mock.iniciar(porta).then(() => {
+    console.log(
+      `🧪 Mock do Apps Script rodando em http://localhost:${porta}/exec`
+    );
+  });
+}
+
+module.exports = { criarMockAppsScript, MODOS_FALHA };
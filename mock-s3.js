@@ -0,0 +1,168 @@
+// ------------------------------------------------------
+// Mock de um serviço S3 (estilo MinIO) para testar o armazenamento de fotos
+// ------------------------------------------------------
+// Guarda os objetos em memória e atende só o necessário para o driver "s3"
+// de armazenamento-fotos.js, em modo path-style (/<bucket>/<chave>):
+// PutObject, GetObject, HeadObject, DeleteObject, CopyObject e
+// ListObjectsV2. Assinaturas não são conferidas, então URLs assinadas
+// funcionam enquanto o mock estiver de pé.
+//
+//   node mock-s3.js
+//   FOTOS_ARMAZENAMENTO=s3 S3_ENDPOINT=http://localhost:4566 S3_BUCKET=fotos \
+//     S3_FORCE_PATH_STYLE=true S3_ACCESS_KEY_ID=x S3_SECRET_ACCESS_KEY=x node server.js
+//
+// ou dentro do próprio processo de teste:
+//
+//   const { criarMockS3 } = require("./mock-s3");
+//   const mock = criarMockS3();
+//   const servidor = await mock.iniciar(0);
+const express = require("express");
+
+function escaparXml(texto) {
+  return String(texto)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function erroXml(res, status, codigo, mensagem) {
+  res
+    .status(status)
+    .type("application/xml")
+    .send(
+      `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${codigo}</Code>` +
+        `<Message>${escaparXml(mensagem)}</Message></Error>`
+    );
+}
+
+function criarMockS3() {
+  const buckets = new Map(); // bucket -> Map(chave -> { conteudo, tipo, modificado })
+  const requisicoes = []; // Histórico para asserções nos testes
+
+  const objetosDo = (bucket) => {
+    if (!buckets.has(bucket)) buckets.set(bucket, new Map());
+    return buckets.get(bucket);
+  };
+
+  function resetar() {
+    buckets.clear();
+    requisicoes.length = 0;
+  }
+
+  const app = express();
+  app.use(express.raw({ type: () => true, limit: "50mb" }));
+  app.use((req, res, next) => {
+    requisicoes.push({ metodo: req.method, caminho: req.path });
+    next();
+  });
+
+  app.post("/__mock/reset", (req, res) => {
+    resetar();
+    res.status(200).json({ success: true });
+  });
+
+  // ListObjectsV2 (sem paginação: devolve tudo de uma vez)
+  app.get("/:bucket", (req, res) => {
+    const prefixo = req.query.prefix || "";
+    const itens = [...objetosDo(req.params.bucket).entries()]
+      .filter(([chave]) => chave.startsWith(prefixo))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const conteudo = itens
+      .map(
+        ([chave, objeto]) =>
+          `<Contents><Key>${escaparXml(chave)}</Key>` +
+          `<LastModified>${objeto.modificado.toISOString()}</LastModified>` +
+          `<Size>${objeto.conteudo.length}</Size></Contents>`
+      )
+      .join("");
+    res
+      .status(200)
+      .type("application/xml")
+      .send(
+        `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>` +
+          `<Name>${escaparXml(req.params.bucket)}</Name>` +
+          `<Prefix>${escaparXml(prefixo)}</Prefix>` +
+          `<KeyCount>${itens.length}</KeyCount><IsTruncated>false</IsTruncated>` +
+          `${conteudo}</ListBucketResult>`
+      );
+  });
+
+  app.put("/:bucket/*", (req, res) => {
+    const objetos = objetosDo(req.params.bucket);
+    const chave = req.params[0];
+    const origemCopia = req.get("x-amz-copy-source");
+
+    if (origemCopia) {
+      const [bucketOrigem, ...partes] = decodeURIComponent(origemCopia)
+        .replace(/^\//, "")
+        .split("/");
+      const origem = objetosDo(bucketOrigem).get(partes.join("/"));
+      if (!origem) {
+        return erroXml(res, 404, "NoSuchKey", "Objeto de origem inexistente");
+      }
+      const modificado = new Date();
+      objetos.set(chave, { ...origem, modificado: modificado });
+      return res
+        .status(200)
+        .type("application/xml")
+        .send(
+          `<?xml version="1.0" encoding="UTF-8"?><CopyObjectResult>` +
+            `<LastModified>${modificado.toISOString()}</LastModified>` +
+            `</CopyObjectResult>`
+        );
+    }
+
+    objetos.set(chave, {
+      conteudo: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+      tipo: req.get("content-type") || "application/octet-stream",
+      modificado: new Date(),
+    });
+    res.status(200).end();
+  });
+
+  app.get("/:bucket/*", (req, res) => {
+    const objeto = objetosDo(req.params.bucket).get(req.params[0]);
+    if (!objeto) {
+      return erroXml(res, 404, "NoSuchKey", "A chave informada não existe");
+    }
+    res
+      .status(200)
+      .set("Content-Type", objeto.tipo)
+      .set("Last-Modified", objeto.modificado.toUTCString())
+      .send(objeto.conteudo);
+  });
+
+  app.head("/:bucket/*", (req, res) => {
+    const objeto = objetosDo(req.params.bucket).get(req.params[0]);
+    if (!objeto) return res.status(404).end();
+    res
+      .status(200)
+      .set("Content-Type", objeto.tipo)
+      .set("Content-Length", String(objeto.conteudo.length))
+      .end();
+  });
+
+  app.delete("/:bucket/*", (req, res) => {
+    objetosDo(req.params.bucket).delete(req.params[0]);
+    res.status(204).end();
+  });
+
+  function iniciar(porta = 0) {
+    return new Promise((resolve) => {
+      const servidor = app.listen(porta, () => resolve(servidor));
+    });
+  }
+
+  return { app, iniciar, resetar, requisicoes, buckets };
+}
+
+if (require.main === module) {
+  const porta = process.env.MOCK_S3_PORT || 4566;
+  criarMockS3()
+    .iniciar(porta)
+    .then(() => {
+      console.log(`🧪 Mock do S3 rodando em http://localhost:${porta}`);
+    });
+}
+
+module.exports = { criarMockS3 };
@@ -0,0 +1,269 @@
+// ------------------------------------------------------
+// Processamento das fotos dos membros (sharp)
+// ------------------------------------------------------
+// Toda foto enviada é girada conforme a orientação EXIF, perde os metadados
+// (EXIF/GPS, já que o sharp não copia metadados por padrão) e é gravada em
+// três tamanhos no formato configurado:
+//
+//   <id>_<timestamp>.jpg          -> "original" (limitada a 1600px)
+//   <id>_<timestamp>_medium.jpg   -> 600px
+//   <id>_<timestamp>_thumb.jpg    -> 160px (usada nos cards do dashboard)
+//
+// Antes disso, validarFoto confere o conteúdo real do arquivo: assinatura
+// (magic bytes) dentro da lista de formatos aceitos, dimensões e ausência de
+// conteúdo embutido (SVG, HTML/script, ZIP anexado). Os erros trazem
+// "status" (HTTP 4xx) e "codigo" para a rota repassar ao cliente.
+const sharp = require("sharp");
+
+const TAMANHOS_FOTO = {
+  original: 1600,
+  medium: 600,
+  thumb: 160,
+};
+
+const FORMATOS_FOTO = {
+  jpeg: { extensao: "jpg", opcoes: { quality: 85, mozjpeg: true } },
+  webp: { extensao: "webp", opcoes: { quality: 82 } },
+};
+
+// Formatos aceitos no upload, identificados pela assinatura do arquivo
+const FORMATOS_ACEITOS = {
+  jpeg: {
+    mimetypes: ["image/jpeg", "image/jpg", "image/pjpeg"],
+    extensao: "jpg",
+  },
+  png: { mimetypes: ["image/png"], extensao: "png" },
+  webp: { mimetypes: ["image/webp"], extensao: "webp" },
+};
+
+const LIMITES_FOTO = {
+  tamanhoMaximo: 5 * 1024 * 1024, // 5MB
+  ladoMinimo: 32,
+  ladoMaximo: 8000,
+  pixelsMaximos: 40 * 1000 * 1000,
+};
+
+// Trechos que não têm motivo para aparecer dentro de uma foto
+const MARCADORES_SUSPEITOS = [
+  "<script",
+  "<html",
+  "<iframe",
+  "<?php",
+  "<%@",
+  "javascript:",
+];
+
+function erroDeFoto(status, codigo, mensagem) {
+  const error = new Error(mensagem);
+  error.status = status;
+  error.codigo = codigo;
+  return error;
+}
+
+function detectarFormato(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return buffer[2] === 0xff ? "jpeg" : null;
+  }
+  if (
+    buffer.length >= 8 &&
+    buffer
+      .subarray(0, 8)
+      .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return "png";
+  }
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "webp";
+  }
+  return null;
+}
+
+function pareceSvgOuTexto(buffer) {
+  const inicio = buffer
+    .toString("utf8", 0, 256)
+    .replace(/^\uFEFF/, "")
+    .trimStart()
+    .toLowerCase();
+  return inicio.startsWith("<") || inicio.includes("<svg");
+}
+
+// Procura HTML/script embutido e arquivos ZIP anexados ao final da imagem
+function conteudoSuspeito(buffer) {
+  const texto = buffer.toString("latin1").toLowerCase();
+  const marcador = MARCADORES_SUSPEITOS.find((m) => texto.includes(m));
+  if (marcador) return marcador;
+  if (texto.includes("pk\x03\x04") && texto.includes("pk\x05\x06")) {
+    return "arquivo ZIP";
+  }
+  return null;
+}
+
+function formatoDoMimetype(mimetype) {
+  const tipo = String(mimetype || "").toLowerCase();
+  return (
+    Object.keys(FORMATOS_ACEITOS).find((formato) =>
+      FORMATOS_ACEITOS[formato].mimetypes.includes(tipo)
+    ) || null
+  );
+}
+
+// tipoDeclarado: mimetype informado pelo cliente (data URL ou multipart)
+// Retorna { formato, largura, altura } ou lança erroDeFoto
+async function validarFoto(buffer, { tipoDeclarado } = {}) {
+  const nomesAceitos = Object.keys(FORMATOS_ACEITOS).join(", ");
+  if (!buffer || buffer.length === 0) {
+    throw erroDeFoto(400, "arquivo_vazio", "Nenhum conteúdo de imagem enviado");
+  }
+  if (buffer.length > LIMITES_FOTO.tamanhoMaximo) {
+    throw erroDeFoto(
+      413,
+      "arquivo_muito_grande",
+      `A foto excede o limite de ${LIMITES_FOTO.tamanhoMaximo / 1024 / 1024}MB`
+    );
+  }
+
+  const formato = detectarFormato(buffer);
+  if (!formato) {
+    if (pareceSvgOuTexto(buffer)) {
+      throw erroDeFoto(
+        415,
+        "svg_nao_permitido",
+        `Imagens SVG ou arquivos de texto não são aceitos (use ${nomesAceitos})`
+      );
+    }
+    throw erroDeFoto(
+      415,
+      "formato_nao_permitido",
+      `Formato de imagem não permitido (use ${nomesAceitos})`
+    );
+  }
+  if (tipoDeclarado && formatoDoMimetype(tipoDeclarado) !== formato) {
+    throw erroDeFoto(
+      415,
+      "tipo_divergente",
+      `O tipo informado (${tipoDeclarado}) não corresponde ao conteúdo do arquivo (${formato})`
+    );
+  }
+
+  const suspeito = conteudoSuspeito(buffer);
+  if (suspeito) {
+    throw erroDeFoto(
+      422,
+      "conteudo_suspeito",
+      `A imagem contém conteúdo não permitido (${suspeito})`
+    );
+  }
+
+  let metadados;
+  try {
+    metadados = await sharp(buffer, {
+      limitInputPixels: LIMITES_FOTO.pixelsMaximos,
+    }).metadata();
+  } catch (error) {
+    throw erroDeFoto(
+      422,
+      "imagem_invalida",
+      `Não foi possível ler a imagem enviada: ${error.message}`
+    );
+  }
+  if (metadados.format !== formato) {
+    throw erroDeFoto(
+      422,
+      "imagem_invalida",
+      "O conteúdo da imagem não corresponde à sua assinatura"
+    );
+  }
+
+  const { width: largura, height: altura } = metadados;
+  if (
+    !largura ||
+    !altura ||
+    Math.min(largura, altura) < LIMITES_FOTO.ladoMinimo ||
+    Math.max(largura, altura) > LIMITES_FOTO.ladoMaximo ||
+    largura * altura > LIMITES_FOTO.pixelsMaximos
+  ) {
+    throw erroDeFoto(
+      422,
+      "dimensoes_invalidas",
+      `Dimensões não permitidas (${largura}x${altura}). Use entre ${LIMITES_FOTO.ladoMinimo} e ${LIMITES_FOTO.ladoMaximo} pixels por lado`
+    );
+  }
+
+  return { formato, largura, altura };
+}
+
+// { largura, altura } de um arquivo já gravado, ou null se não for legível
+async function dimensoesDaFoto(buffer) {
+  try {
+    const { width, height } = await sharp(buffer).metadata();
+    return { largura: width, altura: height };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Caminho/URL de uma variante a partir do arquivo original
+function nomeDaVariante(arquivoOriginal, tamanho) {
+  if (tamanho === "original") return arquivoOriginal;
+  return arquivoOriginal.replace(/(\.[a-z0-9]+)$/i, `_${tamanho}$1`);
+}
+
+function ehVariante(arquivo) {
+  const sufixos = Object.keys(TAMANHOS_FOTO)
+    .filter((t) => t !== "original")
+    .join("|");
+  return new RegExp(`_(${sufixos})\\.[a-z0-9]+$`, "i").test(arquivo);
+}
+
+// Retorna { extensao, largura, altura, variantes: { original, medium, thumb } }
+// com os Buffers já prontos para gravar
+async function processarFoto(buffer, formato = "jpeg") {
+  const configuracao = FORMATOS_FOTO[formato];
+  if (!configuracao) {
+    throw new Error(
+      `Formato de foto desconhecido: "${formato}" (use ${Object.keys(
+        FORMATOS_FOTO
+      ).join(", ")})`
+    );
+  }
+
+  // rotate() sem argumentos aplica a orientação EXIF antes de descartá-la
+  const base = sharp(buffer, {
+    failOn: "error",
+    limitInputPixels: LIMITES_FOTO.pixelsMaximos,
+  }).rotate();
+  const variantes = {};
+  for (const [tamanho, lado] of Object.entries(TAMANHOS_FOTO)) {
+    variantes[tamanho] = await base
+      .clone()
+      .resize(lado, lado, { fit: "inside", withoutEnlargement: true })
+      [formato](configuracao.opcoes)
+      .toBuffer();
+  }
+
+  const { width, height } = await sharp(variantes.original).metadata();
+  return {
+    extensao: configuracao.extensao,
+    largura: width,
+    altura: height,
+    variantes: variantes,
+  };
+}
+
+module.exports = {
+  TAMANHOS_FOTO,
+  FORMATOS_FOTO,
+  FORMATOS_ACEITOS,
+  LIMITES_FOTO,
+  erroDeFoto,
+  formatoDoMimetype,
+  validarFoto,
+  processarFoto,
+  dimensoesDaFoto,
+  nomeDaVariante,
+  ehVariante,
+};
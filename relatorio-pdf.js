@@ -0,0 +1,249 @@
+// ------------------------------------------------------
+// Relatório mensal de presença de um GAPE em PDF (gerado com pdfkit)
+// ------------------------------------------------------
+// Recebe os dados já calculados pelo server.js e devolve um Buffer:
+//
+//   {
+//     grupo, periodoNome, lider, geradoEm,
+//     resumo: { totalMembros, reunioes, presencas, presencaPercentual },
+//     reunioes: ["dd/mm/aaaa", ...],
+//     membros: [{ nome, cargo, foto, datas: ["dd/mm/aaaa"], presencas, faltas, percentual }],
+//   }
+//
+// "foto" é o conteúdo da miniatura (Buffer); o pdfkit só embute JPEG e PNG.
+const PDFDocument = require("pdfkit");
+
+const CORES = {
+  titulo: "#1f3b5b",
+  texto: "#333333",
+  suave: "#777777",
+  linha: "#cccccc",
+  cabecalho: "#e8eef5",
+  presente: "#2e7d32",
+  falta: "#c62828",
+  destaque: "#fdecea",
+};
+const ALTURA_LINHA = 26;
+const TAMANHO_FOTO = 20;
+const FREQUENCIA_BAIXA = 50; // Linhas abaixo disso ficam destacadas
+
+function fotoSuportada(foto) {
+  if (!Buffer.isBuffer(foto) || foto.length < 8) return false;
+  const jpeg = foto[0] === 0xff && foto[1] === 0xd8;
+  const png = foto.toString("latin1", 1, 4) === "PNG";
+  return jpeg || png;
+}
+
+function desenharCabecalho(doc, dados) {
+  doc
+    .fillColor(CORES.titulo)
+    .fontSize(18)
+    .text("Relatório mensal de presença", { align: "left" })
+    .fontSize(13)
+    .text(dados.grupo)
+    .moveDown(0.2)
+    .fillColor(CORES.suave)
+    .fontSize(10)
+    .text(
+      `Período: ${dados.periodoNome}    Líder: ${dados.lider || "N/A"}    ` +
+        `Gerado em: ${dados.geradoEm}`
+    )
+    .moveDown(0.8);
+
+  const { resumo } = dados;
+  const quadros = [
+    ["Membros", resumo.totalMembros],
+    ["Reuniões", resumo.reunioes],
+    ["Presenças", resumo.presencas],
+    ["Frequência média", `${resumo.presencaPercentual}%`],
+  ];
+  const largura = 130;
+  const y = doc.y;
+  quadros.forEach(([rotulo, valor], i) => {
+    const x = doc.page.margins.left + i * (largura + 10);
+    doc.rect(x, y, largura, 42).fillAndStroke(CORES.cabecalho, CORES.linha);
+    doc
+      .fillColor(CORES.suave)
+      .fontSize(8)
+      .text(rotulo.toUpperCase(), x + 8, y + 7, { width: largura - 16 })
+      .fillColor(CORES.titulo)
+      .fontSize(15)
+      .text(String(valor), x + 8, y + 19, { width: largura - 16 });
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = y + 56;
+}
+
+function desenharDestaques(doc, membros) {
+  const ausentes = membros.filter((m) => m.presencas === 0);
+  const baixa = membros.filter(
+    (m) => m.presencas > 0 && m.percentual < FREQUENCIA_BAIXA
+  );
+  if (ausentes.length === 0 && baixa.length === 0) return;
+
+  doc.fillColor(CORES.falta).fontSize(11).text("Destaques de ausência");
+  doc.fillColor(CORES.texto).fontSize(9);
+  if (ausentes.length > 0) {
+    doc.text(
+      `Nenhuma presença no mês: ${ausentes.map((m) => m.nome).join(", ")}`
+    );
+  }
+  if (baixa.length > 0) {
+    doc.text(
+      `Frequência abaixo de ${FREQUENCIA_BAIXA}%: ${baixa
+        .map((m) => `${m.nome} (${m.percentual}%)`)
+        .join(", ")}`
+    );
+  }
+  doc.moveDown(0.8);
+}
+
+// Colunas: foto | nome | uma por reunião | presenças | faltas | %
+function montarColunas(doc, reunioes) {
+  const larguraUtil =
+    doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const fixas = TAMANHO_FOTO + 8 + 3 * 48;
+  const larguraData = Math.min(
+    42,
+    Math.max(24, (larguraUtil - fixas - 160) / Math.max(reunioes.length, 1))
+  );
+  const larguraNome = larguraUtil - fixas - larguraData * reunioes.length;
+
+  let x = doc.page.margins.left;
+  const colunas = [];
+  const adicionar = (titulo, largura, valor) => {
+    colunas.push({ titulo, largura, valor, x });
+    x += largura;
+  };
+  adicionar("", TAMANHO_FOTO + 8, null);
+  adicionar("Membro", larguraNome, (m) => m.nome);
+  reunioes.forEach((data) =>
+    adicionar(data.substring(0, 5), larguraData, (m) =>
+      m.datas.includes(data) ? "P" : "F"
+    )
+  );
+  adicionar("Pres.", 48, (m) => String(m.presencas));
+  adicionar("Faltas", 48, (m) => String(m.faltas));
+  adicionar("%", 48, (m) => `${m.percentual}%`);
+  return colunas;
+}
+
+function desenharLinhaCabecalho(doc, colunas) {
+  const y = doc.y;
+  const inicio = colunas[0].x;
+  const fim =
+    colunas[colunas.length - 1].x + colunas[colunas.length - 1].largura;
+  doc.rect(inicio, y, fim - inicio, 18).fill(CORES.cabecalho);
+  doc.fillColor(CORES.titulo).fontSize(8);
+  colunas.forEach((c) =>
+    doc.text(c.titulo, c.x + 2, y + 5, {
+      width: c.largura - 4,
+      align: c.titulo === "Membro" ? "left" : "center",
+    })
+  );
+  doc.y = y + 18;
+}
+
+function desenharGrade(doc, dados) {
+  const colunas = montarColunas(doc, dados.reunioes);
+  const limiteInferior = doc.page.height - doc.page.margins.bottom;
+  desenharLinhaCabecalho(doc, colunas);
+
+  for (const membro of dados.membros) {
+    if (doc.y + ALTURA_LINHA > limiteInferior) {
+      doc.addPage();
+      desenharLinhaCabecalho(doc, colunas);
+    }
+
+    const y = doc.y;
+    const inicio = colunas[0].x;
+    const fim =
+      colunas[colunas.length - 1].x + colunas[colunas.length - 1].largura;
+    if (membro.percentual < FREQUENCIA_BAIXA) {
+      doc.rect(inicio, y, fim - inicio, ALTURA_LINHA).fill(CORES.destaque);
+    }
+
+    if (fotoSuportada(membro.foto)) {
+      try {
+        doc.image(membro.foto, inicio + 3, y + 3, {
+          fit: [TAMANHO_FOTO, TAMANHO_FOTO],
+          align: "center",
+          valign: "center",
+        });
+      } catch (error) {
+        // Arquivo corrompido: segue sem a foto
+      }
+    }
+
+    colunas.slice(1).forEach((c) => {
+      const valor = c.valor(membro);
+      const cor =
+        valor === "P" ? CORES.presente : valor === "F" ? CORES.falta : null;
+      doc
+        .fillColor(cor || CORES.texto)
+        .fontSize(c.titulo === "Membro" ? 9 : 8)
+        .text(valor, c.x + 2, y + 5, {
+          width: c.largura - 4,
+          align: c.titulo === "Membro" ? "left" : "center",
+          lineBreak: false,
+          ellipsis: true,
+        });
+      if (c.titulo === "Membro" && membro.cargo) {
+        doc
+          .fillColor(CORES.suave)
+          .fontSize(7)
+          .text(membro.cargo, c.x + 2, y + 15, {
+            width: c.largura - 4,
+            lineBreak: false,
+            ellipsis: true,
+          });
+      }
+    });
+
+    doc
+      .moveTo(inicio, y + ALTURA_LINHA)
+      .lineTo(fim, y + ALTURA_LINHA)
+      .strokeColor(CORES.linha)
+      .lineWidth(0.5)
+      .stroke();
+    doc.y = y + ALTURA_LINHA;
+  }
+
+  doc.x = doc.page.margins.left;
+  if (dados.reunioes.length === 0) {
+    doc
+      .moveDown(0.5)
+      .fillColor(CORES.suave)
+      .fontSize(9)
+      .text("Nenhuma reunião registrada no período.");
+  }
+  doc
+    .moveDown(0.5)
+    .fillColor(CORES.suave)
+    .fontSize(8)
+    .text("P = presente, F = falta. Reuniões = datas com presença registrada.");
+}
+
+function gerarRelatorioMensalPdf(dados) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: "landscape",
+      margin: 36,
+      info: {
+        Title: `Relatório mensal - ${dados.grupo} - ${dados.periodoNome}`,
+      },
+    });
+    const partes = [];
+    doc.on("data", (parte) => partes.push(parte));
+    doc.on("end", () => resolve(Buffer.concat(partes)));
+    doc.on("error", reject);
+
+    desenharCabecalho(doc, dados);
+    desenharDestaques(doc, dados.membros);
+    desenharGrade(doc, dados);
+    doc.end();
+  });
+}
+
+module.exports = { gerarRelatorioMensalPdf };
@@ -0,0 +1,189 @@
+// ------------------------------------------------------
+// Ambiente dos testes: server.js em um processo filho, apontando para o mock
+// do Apps Script e para o mock do S3 (rodando no processo do teste)
+// ------------------------------------------------------
+// Cada arquivo de teste sobe o próprio ambiente, com portas livres e um
+// diretório temporário para os arquivos de dados, sem tocar em data/ nem em
+// uploads/:
+//
+//   const ambiente = await iniciarAmbiente({ FILA_INTERVALO_MS: "200" });
+//   const token = await ambiente.login(ADMIN);
+//   const { status, corpo } = await ambiente.requisitar("GET", "/membros/busca", { token });
+//   await ambiente.encerrar();
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { criarMockAppsScript } = require("../mock-apps-script");
+const { criarMockS3 } = require("../mock-s3");
+
+const RAIZ = path.join(__dirname, "..");
+const TOKEN_APPS_SCRIPT = "token-de-teste";
+
+// Login do admin configurado por variável de ambiente
+const ADMIN = { usuario: "admin", senha: "123" };
+// Líder do "0001 - GAPE Esperança" nas fixtures (senha = RI)
+const LIDER = { usuario: "Ana Paula Ribeiro", senha: "1001" };
+
+function portaLivre() {
+  return new Promise((resolve, reject) => {
+    const servidor = net.createServer();
+    servidor.unref();
+    servidor.on("error", reject);
+    servidor.listen(0, "127.0.0.1", () => {
+      const { port } = servidor.address();
+      servidor.close(() => resolve(port));
+    });
+  });
+}
+
+const esperar = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Repete "verificar" até devolver algo verdadeiro ou o tempo acabar
+async function aguardar(verificar, { tempoMs = 5000, intervaloMs = 100 } = {}) {
+  const limite = Date.now() + tempoMs;
+  for (;;) {
+    const resultado = await verificar();
+    if (resultado) return resultado;
+    if (Date.now() > limite) {
+      throw new Error(`Condição não atendida em ${tempoMs}ms`);
+    }
+    await esperar(intervaloMs);
+  }
+}
+
+// env: variáveis extras para o server.js
+async function iniciarAmbiente(env = {}) {
+  const mockAppsScript = criarMockAppsScript({ authToken: TOKEN_APPS_SCRIPT });
+  const servidorAppsScript = await mockAppsScript.iniciar(0);
+  const mockS3 = criarMockS3();
+  const servidorS3 = await mockS3.iniciar(0);
+
+  const temporario = fs.mkdtempSync(path.join(os.tmpdir(), "presencas-teste-"));
+  const porta = await portaLivre();
+  const url = `http://127.0.0.1:${porta}`;
+
+  const processo = spawn(process.execPath, ["server.js"], {
+    cwd: RAIZ,
+    env: {
+      ...process.env,
+      PORT: String(porta),
+      ADMIN_USERNAME: ADMIN.usuario,
+      ADMIN_RI: ADMIN.senha,
+      TOKEN_SECRET: "segredo-de-teste",
+      DATA_BACKEND: "appsscript",
+      APPS_SCRIPT_URL: `http://127.0.0.1:${
+        servidorAppsScript.address().port
+      }/exec`,
+      APPS_SCRIPT_AUTH_TOKEN: TOKEN_APPS_SCRIPT,
+      APPS_SCRIPT_TIMEOUT_MS: "1000",
+      FOTOS_ARMAZENAMENTO: "s3",
+      S3_ENDPOINT: `http://127.0.0.1:${servidorS3.address().port}`,
+      S3_BUCKET: "fotos",
+      S3_FORCE_PATH_STYLE: "true",
+      S3_ACCESS_KEY_ID: "teste",
+      S3_SECRET_ACCESS_KEY: "teste",
+      FOTOS_TEMP_DIR: path.join(temporario, "tmp"),
+      FOTOS_PENDENTES_DIR: path.join(temporario, "fotos-pendentes"),
+      FOTOS_INDICE_ARQUIVO: path.join(temporario, "fotos-indice.json"),
+      ATIVIDADES_ARQUIVO: path.join(temporario, "atividades.jsonl"),
+      IDS_MEMBROS_ARQUIVO: path.join(temporario, "ids-membros.json"),
+      FILA_PENDENTE_ARQUIVO: path.join(temporario, "fila-pendente.json"),
+      LIMITES_RISCO_ARQUIVO: path.join(temporario, "limites-risco.json"),
+      RESUMO_SEMANAL_ARQUIVO: path.join(temporario, "resumo-semanal.json"),
+      RESUMO_SEMANAL_ATIVO: "false",
+      CACHE_STORE: "memoria",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  // Guarda a saída para mostrar se o servidor não subir
+  let saida = "";
+  const guardarSaida = (trecho) => {
+    saida = (saida + trecho).slice(-20000);
+  };
+  processo.stdout.on("data", guardarSaida);
+  processo.stderr.on("data", guardarSaida);
+
+  async function requisitar(metodo, caminho, opcoes = {}) {
+    const cabecalhos = { ...(opcoes.cabecalhos || {}) };
+    if (opcoes.token) cabecalhos.Authorization = `Bearer ${opcoes.token}`;
+    let body = opcoes.form;
+    if (opcoes.corpo !== undefined) {
+      cabecalhos["Content-Type"] = "application/json";
+      body = JSON.stringify(opcoes.corpo);
+    }
+
+    const resposta = await fetch(`${url}${caminho}`, {
+      method: metodo,
+      headers: cabecalhos,
+      body: body,
+    });
+    const tipo = resposta.headers.get("content-type") || "";
+    const corpo = tipo.includes("application/json")
+      ? await resposta.json()
+      : Buffer.from(await resposta.arrayBuffer());
+    return { status: resposta.status, tipo: tipo, corpo: corpo };
+  }
+
+  async function login({ usuario, senha }) {
+    const { status, corpo } = await requisitar("POST", "/login", {
+      corpo: { username: usuario, password: senha },
+    });
+    if (status !== 200) {
+      throw new Error(`Login de "${usuario}" falhou: ${JSON.stringify(corpo)}`);
+    }
+    return corpo.token;
+  }
+
+  async function encerrar() {
+    if (processo.exitCode === null) {
+      const saiu = new Promise((resolve) => processo.once("exit", resolve));
+      processo.kill();
+      await saiu;
+    }
+    await new Promise((resolve) => servidorAppsScript.close(resolve));
+    await new Promise((resolve) => servidorS3.close(resolve));
+    fs.rmSync(temporario, { recursive: true, force: true });
+  }
+
+  try {
+    await aguardar(
+      async () => {
+        if (processo.exitCode !== null) {
+          throw new Error(`server.js saiu com código ${processo.exitCode}`);
+        }
+        try {
+          await fetch(`${url}/cache/stats`);
+          return true;
+        } catch (error) {
+          return false; // Ainda não está ouvindo
+        }
+      },
+      { tempoMs: 20000 }
+    );
+  } catch (error) {
+    await encerrar();
+    throw new Error(`${error.message}\n${saida}`);
+  }
+
+  return {
+    url,
+    requisitar,
+    login,
+    encerrar,
+    mockAppsScript,
+    mockS3,
+    saida: () => saida,
+  };
+}
+
+module.exports = {
+  iniciarAmbiente,
+  aguardar,
+  esperar,
+  ADMIN,
+  LIDER,
+};
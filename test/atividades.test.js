@@ -0,0 +1,74 @@
+// Log de atividades (GET /ultimos-registros): login obrigatório e filtros
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarAmbiente, ADMIN, LIDER } = require("./ajudantes");
+
+let ambiente;
+let tokenAdmin;
+let tokenLider;
+
+before(async () => {
+  ambiente = await iniciarAmbiente();
+  tokenAdmin = await ambiente.login(ADMIN);
+  tokenLider = await ambiente.login(LIDER);
+
+  // Uma presença registrada pelo admin e outra pela líder
+  for (const [token, id] of [
+    [tokenAdmin, "1002"],
+    [tokenLider, "1003"],
+  ]) {
+    const { status } = await ambiente.requisitar("POST", "/presenca", {
+      token: token,
+      corpo: { id: id, acao: "marcar" },
+    });
+    assert.equal(status, 200);
+  }
+});
+
+after(() => ambiente && ambiente.encerrar());
+
+test("listar ou exportar o log exige token", async () => {
+  for (const caminho of [
+    "/ultimos-registros",
+    "/ultimos-registros?formato=csv",
+    "/ultimos-registros?formato=xlsx",
+  ]) {
+    const { status, corpo } = await ambiente.requisitar("GET", caminho);
+    assert.equal(status, 401, caminho);
+    assert.equal(corpo.success, false);
+  }
+});
+
+test("filtra por autor", async () => {
+  const { status, corpo } = await ambiente.requisitar(
+    "GET",
+    "/ultimos-registros?autor=ana%20paula",
+    { token: tokenAdmin }
+  );
+  assert.equal(status, 200);
+  assert.deepEqual(
+    corpo.registros.map((r) => r.pessoa),
+    ["Cecília Gonçalves"]
+  );
+});
+
+test("datas impossíveis no filtro são recusadas", async () => {
+  for (const data of ["2025-02-30", "31/04/2025", "2025-13-01"]) {
+    const { status, corpo } = await ambiente.requisitar(
+      "GET",
+      `/ultimos-registros?from=${encodeURIComponent(data)}`,
+      { token: tokenAdmin }
+    );
+    assert.equal(status, 400, data);
+    assert.match(corpo.message, /Data inválida/);
+  }
+});
+
+test("29 de fevereiro de ano bissexto é aceito", async () => {
+  const { status } = await ambiente.requisitar(
+    "GET",
+    "/ultimos-registros?from=2024-02-29",
+    { token: tokenAdmin }
+  );
+  assert.equal(status, 200);
+});
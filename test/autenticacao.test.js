@@ -0,0 +1,74 @@
+// Tokens de sessão: emitidos pelo /login e exigidos em todas as rotas de dados
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarAmbiente, ADMIN, LIDER } = require("./ajudantes");
+
+let ambiente;
+let tokenAdmin;
+let tokenLider;
+
+before(async () => {
+  ambiente = await iniciarAmbiente();
+  tokenAdmin = await ambiente.login(ADMIN);
+  tokenLider = await ambiente.login(LIDER);
+});
+
+after(() => ambiente && ambiente.encerrar());
+
+test("rotas de dados exigem token", async () => {
+  for (const caminho of [
+    "/get-membros",
+    "/membros/busca",
+    "/get-all-last-presences",
+    "/get-presencas-total",
+    "/detailed-summary",
+    "/presences/1002",
+    "/ultimos-registros",
+    "/fila-pendente",
+    "/member-photo/1002",
+    "/member-photos",
+    "/limpar-registros-teste",
+  ]) {
+    const { status, corpo } = await ambiente.requisitar("GET", caminho);
+    assert.equal(status, 401, caminho);
+    assert.equal(corpo.success, false);
+  }
+});
+
+test("token adulterado é recusado", async () => {
+  const { status } = await ambiente.requisitar("GET", "/membros/busca", {
+    token: `${tokenLider.slice(0, -2)}xx`,
+  });
+  assert.equal(status, 401);
+});
+
+test("login com senha errada falha", async () => {
+  const { status } = await ambiente.requisitar("POST", "/login", {
+    corpo: { username: LIDER.usuario, password: "9999" },
+  });
+  assert.equal(status, 401);
+});
+
+test("lista de membros não devolve o RI", async () => {
+  for (const token of [tokenLider, tokenAdmin]) {
+    const { status, corpo } = await ambiente.requisitar("GET", "/get-membros", {
+      token: token,
+    });
+    assert.equal(status, 200);
+    const membros = corpo.membros || corpo.data;
+    assert.ok(membros.length > 0);
+    for (const membro of membros) assert.equal(membro.RI, undefined);
+  }
+});
+
+test("rota de teste da limpeza de registros é só de admins", async () => {
+  const lider = await ambiente.requisitar("GET", "/limpar-registros-teste", {
+    token: tokenLider,
+  });
+  assert.equal(lider.status, 403);
+
+  const admin = await ambiente.requisitar("GET", "/limpar-registros-teste", {
+    token: tokenAdmin,
+  });
+  assert.equal(admin.status, 200);
+});
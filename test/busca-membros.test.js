@@ -0,0 +1,40 @@
+// Busca de membros (GET /membros/busca): escopo do perfil e campos devolvidos
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarAmbiente, ADMIN, LIDER } = require("./ajudantes");
+
+let ambiente;
+let tokenAdmin;
+let tokenLider;
+
+before(async () => {
+  ambiente = await iniciarAmbiente();
+  tokenAdmin = await ambiente.login(ADMIN);
+  tokenLider = await ambiente.login(LIDER);
+});
+
+after(() => ambiente && ambiente.encerrar());
+
+test("busca de membros do líder fica no escopo e não devolve o RI", async () => {
+  const { status, corpo } = await ambiente.requisitar(
+    "GET",
+    "/membros/busca?limite=100",
+    { token: tokenLider }
+  );
+  assert.equal(status, 200);
+  assert.ok(corpo.membros.length > 0);
+  for (const membro of corpo.membros) {
+    assert.equal(membro.GAPE, "0001 - GAPE Esperança");
+    assert.equal(membro.RI, undefined);
+  }
+});
+
+test("admin enxerga todos os GAPEs", async () => {
+  const { corpo } = await ambiente.requisitar(
+    "GET",
+    "/membros/busca?limite=100",
+    { token: tokenAdmin }
+  );
+  const gapes = new Set(corpo.membros.map((m) => m.GAPE));
+  assert.equal(gapes.size, 3);
+});
@@ -0,0 +1,196 @@
+// Cache das consultas ao backend (cache.js): single-flight, stale, invalidação
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { criarCache, criarStoreMemoria, chaveDoCache } = require("../cache");
+
+// Busca controlada pelo teste: resolve ou rejeita quando mandado
+function buscaPendente() {
+  let resolver;
+  let rejeitar;
+  const promessa = new Promise((resolve, reject) => {
+    resolver = resolve;
+    rejeitar = reject;
+  });
+  return { promessa, resolver, rejeitar };
+}
+
+const esperar = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("chamadas simultâneas para a mesma chave compartilham uma busca", async () => {
+  const cache = criarCache();
+  const busca = buscaPendente();
+  let chamadas = 0;
+  const buscar = () => {
+    chamadas++;
+    return busca.promessa;
+  };
+
+  const consultas = [1, 2, 3].map(() =>
+    cache.obter("presencasTotal", { mes: 3 }, buscar)
+  );
+  busca.resolver({ success: true, data: { Ana: 2 } });
+
+  for (const valor of await Promise.all(consultas)) {
+    assert.deepEqual(valor, { success: true, data: { Ana: 2 } });
+  }
+  assert.equal(chamadas, 1);
+
+  const stats = await cache.estatisticas();
+  assert.equal(stats.porTipo.presencasTotal.misses, 1);
+  assert.equal(stats.porTipo.presencasTotal.compartilhadas, 2);
+});
+
+test("parâmetros vazios e a ordem não mudam a chave", () => {
+  assert.equal(
+    chaveDoCache("presencasTotal", { mes: 3, ano: 2025, grupo: "" }),
+    chaveDoCache("presencasTotal", { ano: "2025", mes: "3" })
+  );
+});
+
+test("resposta vencida é devolvida quando a nova busca falha", async () => {
+  const cache = criarCache({ ttls: { getMembros: 20 } });
+  const membros = { success: true, membros: [{ Nome: "Ana" }] };
+
+  await cache.obter("getMembros", {}, async () => membros);
+  await esperar(40);
+  const valor = await cache.obter("getMembros", {}, async () => {
+    throw new Error("Apps Script fora do ar");
+  });
+
+  assert.deepEqual(valor, membros);
+  const stats = await cache.estatisticas();
+  assert.equal(stats.porTipo.getMembros.stale, 1);
+});
+
+test("sem resposta anterior, o erro da busca é repassado", async () => {
+  const cache = criarCache();
+  await assert.rejects(
+    cache.obter("getMembros", {}, async () => {
+      throw new Error("Apps Script fora do ar");
+    }),
+    /fora do ar/
+  );
+});
+
+test("respostas { success: false } não são guardadas", async () => {
+  const cache = criarCache();
+  let chamadas = 0;
+  const buscar = async () => {
+    chamadas++;
+    return { success: false, message: "erro" };
+  };
+
+  await cache.obter("getFaltas", {}, buscar);
+  await cache.obter("getFaltas", {}, buscar);
+  assert.equal(chamadas, 2);
+});
+
+test("invalidação durante a busca impede guardar a resposta antiga", async () => {
+  const cache = criarCache();
+  const busca = buscaPendente();
+  const consulta = cache.obter("presencasTotal", {}, () => busca.promessa);
+
+  await esperar(5);
+  await cache.invalidar("presencasTotal");
+  busca.resolver({ success: true, data: { Ana: 1 } });
+  await consulta;
+
+  let chamadas = 0;
+  await cache.obter("presencasTotal", {}, async () => {
+    chamadas++;
+    return { success: true, data: { Ana: 2 } };
+  });
+  assert.equal(chamadas, 1);
+});
+
+test("obterVarios busca só os itens sem cache, numa única chamada", async () => {
+  const cache = criarCache();
+  const itens = ["a", "b", "c"].map((id) => ({ params: {}, subchave: id }));
+  const buscas = [];
+  const buscarFaltantes = async (faltantes) => {
+    buscas.push(faltantes.map((item) => item.subchave));
+    return faltantes.map((item) => ({ success: true, id: item.subchave }));
+  };
+
+  await cache.obterVarios("getPresencesByMember", itens, buscarFaltantes);
+  await cache.invalidarSubchaves("getPresencesByMember", ["b"]);
+  const valores = await cache.obterVarios(
+    "getPresencesByMember",
+    itens,
+    buscarFaltantes
+  );
+
+  assert.deepEqual(buscas, [["a", "b", "c"], ["b"]]);
+  assert.deepEqual(
+    valores.map((v) => v.id),
+    ["a", "b", "c"]
+  );
+});
+
+test("store em memória descarta a entrada usada há mais tempo", async () => {
+  const store = criarStoreMemoria({ maxEntradas: 2 });
+  await store.gravar("a", 1, 60000);
+  await store.gravar("b", 2, 60000);
+  await store.ler("a");
+  await store.gravar("c", 3, 60000);
+
+  assert.equal(await store.tamanho(), 2);
+  assert.equal(await store.ler("b"), null);
+  assert.equal(await store.ler("a"), 1);
+  assert.equal(await store.ler("c"), 3);
+});
+
+test("invalidação em uma instância vale para as outras do mesmo store", async () => {
+  const store = criarStoreMemoria();
+  const a = criarCache({ store });
+  const b = criarCache({ store });
+  const antigo = { success: true, data: { Ana: 1 } };
+  const novo = { success: true, data: { Ana: 2 } };
+
+  // B começa a buscar, A invalida e só então a resposta antiga chega a B
+  const busca = buscaPendente();
+  const consulta = b.obter("presencasTotal", {}, () => busca.promessa);
+  await esperar(5);
+  await a.invalidar("presencasTotal");
+  busca.resolver(antigo);
+  assert.deepEqual(await consulta, antigo);
+  // Buscas no mesmo milissegundo da invalidação também são descartadas
+  await esperar(5);
+
+  let chamadas = 0;
+  const buscar = async () => {
+    chamadas++;
+    return novo;
+  };
+  assert.deepEqual(await a.obter("presencasTotal", {}, buscar), novo);
+  assert.deepEqual(await b.obter("presencasTotal", {}, buscar), novo);
+  assert.equal(chamadas, 1);
+});
+
+test("entrada gravada depois da invalidação, mas buscada antes, é ignorada", async () => {
+  const store = criarStoreMemoria();
+  const a = criarCache({ store });
+  const b = criarCache({ store });
+  await a.obter("getPresencesByMember", {}, async () => ({ success: true }), {
+    subchave: "x",
+  });
+  const chave = chaveDoCache("getPresencesByMember", {}, "x");
+  const entrada = await store.ler(chave);
+
+  await esperar(5);
+  await b.invalidarSubchaves("getPresencesByMember", ["x"]);
+  // Outra instância grava a resposta que buscou antes da invalidação
+  await store.gravar(chave, { ...entrada, guardadoEm: Date.now() }, 60000);
+
+  let chamadas = 0;
+  await a.obter(
+    "getPresencesByMember",
+    {},
+    async () => {
+      chamadas++;
+      return { success: true };
+    },
+    { subchave: "x" }
+  );
+  assert.equal(chamadas, 1);
+});
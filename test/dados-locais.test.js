@@ -0,0 +1,85 @@
+// Backend local (dados-locais.js): mesmo contrato do Apps Script
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { criarBackendLocal } = require("../dados-locais");
+const { iniciarAmbiente, ADMIN } = require("./ajudantes");
+
+const dados = {
+  membros: JSON.parse(
+    fs.readFileSync(path.join(__dirname, "..", "fixtures", "membros.json"))
+  ),
+  presencas: [],
+};
+
+const criarBackend = () =>
+  criarBackendLocal({ dados: dados, somenteMemoria: true });
+
+test("registra presença com data e hora informadas", async () => {
+  const backend = criarBackend();
+  await backend.registrarPresenca({
+    nome: "Bruno Carvalho",
+    acao: "marcar",
+    data: "10/06/2025",
+    hora: "19:45",
+  });
+
+  const { presences } = await backend.getPresencesByMember("Bruno Carvalho");
+  assert.deepEqual(presences, [
+    { data: "10/06/2025", hora: "19:45", grupo: "0001 - GAPE Esperança" },
+  ]);
+});
+
+test("membro inexistente é erro 404, como no Apps Script", async () => {
+  const backend = criarBackend();
+  await assert.rejects(
+    backend.registrarPresenca({ nome: "Fulano de Tal", acao: "marcar" }),
+    { status: 404, message: "Membro não encontrado" }
+  );
+  await assert.rejects(
+    backend.atualizarMembro("999999", { Congregacao: "Mooca" }),
+    { status: 404 }
+  );
+});
+
+test("lote informa o membro inexistente sem falhar os demais", async () => {
+  const backend = criarBackend();
+  const { resultados } = await backend.registrarPresenca({
+    acao: "lote",
+    data: "10/06/2025",
+    registros: [
+      { nome: "Bruno Carvalho", acao: "marcar" },
+      { nome: "Fulano de Tal", acao: "marcar" },
+    ],
+  });
+  assert.deepEqual(
+    resultados.map((r) => r.success),
+    [true, false]
+  );
+});
+
+test("POST /presenca responde 404 para membro inexistente no backend local", async () => {
+  const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), "dados-locais-"));
+  const semente = path.join(diretorio, "semente.json");
+  fs.writeFileSync(semente, JSON.stringify(dados));
+
+  const ambiente = await iniciarAmbiente({
+    DATA_BACKEND: "local",
+    DADOS_LOCAIS_ARQUIVO: path.join(diretorio, "banco-local.json"),
+    DADOS_LOCAIS_SEMENTE: semente,
+  });
+  try {
+    const token = await ambiente.login(ADMIN);
+    const { status, corpo } = await ambiente.requisitar("POST", "/presenca", {
+      token: token,
+      corpo: { nome: "Fulano de Tal", acao: "marcar" },
+    });
+    assert.equal(status, 404, JSON.stringify(corpo));
+    assert.equal(corpo.success, false);
+  } finally {
+    await ambiente.encerrar();
+    fs.rmSync(diretorio, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,136 @@
+// Escopo por perfil: líderes só enxergam e alteram os GAPEs que lideram
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarAmbiente, ADMIN, LIDER } = require("./ajudantes");
+
+const GAPE_LIDER = "0001 - GAPE Esperança";
+
+let ambiente;
+let tokenAdmin;
+let tokenLider;
+
+before(async () => {
+  ambiente = await iniciarAmbiente();
+  tokenAdmin = await ambiente.login(ADMIN);
+  tokenLider = await ambiente.login(LIDER);
+
+  // Atividades em dois GAPEs: só a primeira é do escopo da líder
+  for (const [token, id] of [
+    [tokenLider, "1002"],
+    [tokenAdmin, "2002"],
+  ]) {
+    const { status } = await ambiente.requisitar("POST", "/presenca", {
+      token: token,
+      corpo: { id: id, acao: "marcar" },
+    });
+    assert.equal(status, 200);
+  }
+});
+
+after(() => ambiente && ambiente.encerrar());
+
+const gapesDosNomes = async (nomes) => {
+  const { corpo } = await ambiente.requisitar(
+    "GET",
+    "/membros/busca?limite=100",
+    { token: tokenAdmin }
+  );
+  const gapePorNome = new Map(corpo.membros.map((m) => [m.Nome, m.GAPE]));
+  return new Set(nomes.map((nome) => gapePorNome.get(nome)));
+};
+
+test("rotas de admin recusam líderes", async () => {
+  const { status } = await ambiente.requisitar("GET", "/cache/stats", {
+    token: tokenLider,
+  });
+  assert.equal(status, 403);
+});
+
+test("líder não registra presença de membro de outro GAPE", async () => {
+  const { status, corpo } = await ambiente.requisitar("POST", "/presenca", {
+    token: tokenLider,
+    corpo: { id: "3002", acao: "marcar" },
+  });
+  assert.equal(status, 403);
+  assert.equal(corpo.success, false);
+});
+
+test("líder não consulta o histórico de membro de outro GAPE", async () => {
+  const { status } = await ambiente.requisitar("GET", "/presences/3002", {
+    token: tokenLider,
+  });
+  assert.equal(status, 403);
+});
+
+test("líder só vê atividades dos GAPEs que lidera", async () => {
+  const lider = await ambiente.requisitar(
+    "GET",
+    "/ultimos-registros?limit=100",
+    { token: tokenLider }
+  );
+  assert.equal(lider.status, 200);
+  assert.deepEqual(
+    lider.corpo.registros.map((r) => [r.pessoa, r.grupo]),
+    [["Bruno Carvalho", GAPE_LIDER]]
+  );
+
+  const admin = await ambiente.requisitar(
+    "GET",
+    "/ultimos-registros?limit=100",
+    { token: tokenAdmin }
+  );
+  assert.equal(admin.corpo.total, 2);
+
+  const exportacao = await ambiente.requisitar(
+    "GET",
+    "/ultimos-registros?formato=csv",
+    { token: tokenLider }
+  );
+  assert.ok(!exportacao.corpo.toString().includes("Vida Nova"));
+
+  const outroGape = await ambiente.requisitar(
+    "GET",
+    `/ultimos-registros?grupo=${encodeURIComponent("0002 - GAPE Vida Nova")}`,
+    { token: tokenLider }
+  );
+  assert.equal(outroGape.status, 403);
+});
+
+test("últimas presenças e totais ficam no escopo do líder", async () => {
+  for (const caminho of ["/get-all-last-presences", "/get-presencas-total"]) {
+    const semToken = await ambiente.requisitar("GET", caminho);
+    assert.equal(semToken.status, 401, caminho);
+
+    const { status, corpo } = await ambiente.requisitar("GET", caminho, {
+      token: tokenLider,
+    });
+    assert.equal(status, 200, caminho);
+    const nomes = Object.keys(corpo.data);
+    assert.ok(nomes.length > 0, caminho);
+    assert.deepEqual(await gapesDosNomes(nomes), new Set([GAPE_LIDER]));
+  }
+});
+
+test("resumo detalhado só traz os GAPEs do líder", async () => {
+  const semToken = await ambiente.requisitar("GET", "/detailed-summary");
+  assert.equal(semToken.status, 401);
+
+  const { status, corpo } = await ambiente.requisitar(
+    "GET",
+    "/detailed-summary",
+    { token: tokenLider }
+  );
+  assert.equal(status, 200);
+  assert.deepEqual(Object.keys(corpo.data.porGrupo), [GAPE_LIDER]);
+  assert.equal(
+    corpo.data.totalMembros,
+    corpo.data.porGrupo[GAPE_LIDER].totalMembros
+  );
+
+  const outroGape = await ambiente.requisitar(
+    "GET",
+    `/detailed-summary?grupo=${encodeURIComponent("0003 - GAPE Caminho")}`,
+    { token: tokenLider }
+  );
+  assert.equal(outroGape.status, 403);
+});
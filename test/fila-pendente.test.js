@@ -0,0 +1,99 @@
+// Fila de escritas: presenças guardadas quando o Apps Script está fora do ar
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarAmbiente, aguardar, ADMIN, LIDER } = require("./ajudantes");
+
+let ambiente;
+let tokenAdmin;
+let tokenLider;
+
+before(async () => {
+  // Fila rápida para o teste não esperar os 15s padrão
+  ambiente = await iniciarAmbiente({
+    FILA_INTERVALO_MS: "200",
+    FILA_BACKOFF_BASE_MS: "100",
+  });
+  tokenAdmin = await ambiente.login(ADMIN);
+  tokenLider = await ambiente.login(LIDER);
+});
+
+after(() => ambiente && ambiente.encerrar());
+
+beforeEach(() => ambiente.mockAppsScript.limparFalha());
+
+const postsRecebidos = () =>
+  ambiente.mockAppsScript.requisicoes.filter((r) => r.metodo === "POST");
+
+async function atividadesDe(pessoa) {
+  const { corpo } = await ambiente.requisitar(
+    "GET",
+    `/ultimos-registros?limit=100&pessoa=${encodeURIComponent(pessoa)}`,
+    { token: tokenAdmin }
+  );
+  return corpo.registros;
+}
+
+test("escrita recusada pelo Apps Script não vai para a fila nem para o log", async () => {
+  ambiente.mockAppsScript.simularFalha("success-false", {
+    vezes: 1,
+    tipo: "POST",
+  });
+  const { status } = await ambiente.requisitar("POST", "/presenca", {
+    token: tokenAdmin,
+    corpo: { id: "1004", acao: "marcar" },
+  });
+  assert.equal(status, 500);
+
+  const fila = await ambiente.requisitar("GET", "/fila-pendente", {
+    token: tokenAdmin,
+  });
+  assert.equal(fila.corpo.total, 0);
+  assert.deepEqual(await atividadesDe("José Antônio Lima"), []);
+});
+
+test("presença com o Apps Script fora do ar é reenviada com data e hora", async () => {
+  const hoje = new Date().toLocaleDateString("pt-BR", {
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+  });
+
+  // Histórico em cache antes da escrita: precisa ser invalidado no reenvio
+  const antes = await ambiente.requisitar("GET", "/presences/1002", {
+    token: tokenLider,
+  });
+  assert.equal(antes.status, 200);
+  assert.ok(!antes.corpo.presences.some((p) => p.data === hoje));
+
+  ambiente.mockAppsScript.simularFalha("http-500", { vezes: 1, tipo: "POST" });
+  const { status, corpo } = await ambiente.requisitar("POST", "/presenca", {
+    token: tokenLider,
+    corpo: { id: "1002", acao: "marcar" },
+  });
+  assert.equal(status, 202, JSON.stringify(corpo));
+  assert.equal(corpo.pendente, true);
+
+  // Enfileirada conta como registrada no log
+  const atividades = await atividadesDe("Bruno Carvalho");
+  assert.deepEqual(
+    atividades.map((a) => a.tipo),
+    ["presenca_adicionada"]
+  );
+
+  await aguardar(async () => {
+    const fila = await ambiente.requisitar("GET", "/fila-pendente", {
+      token: tokenAdmin,
+    });
+    return fila.corpo.total === 0;
+  });
+
+  const reenvio = postsRecebidos().pop();
+  assert.equal(reenvio.body.nome, "Bruno Carvalho");
+  assert.equal(reenvio.body.data, hoje);
+  assert.match(reenvio.body.hora, /^\d{2}:\d{2}$/);
+
+  const depois = await ambiente.requisitar("GET", "/presences/1002", {
+    token: tokenLider,
+  });
+  assert.ok(depois.corpo.presences.some((p) => p.data === hoje));
+});
@@ -0,0 +1,153 @@
+// Moderação de fotos: envios de líderes ficam privados até a aprovação
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { iniciarAmbiente, ADMIN, LIDER } = require("./ajudantes");
+
+let ambiente;
+let tokenAdmin;
+let tokenLider;
+let fotoBase64;
+
+before(async () => {
+  ambiente = await iniciarAmbiente();
+  tokenAdmin = await ambiente.login(ADMIN);
+  tokenLider = await ambiente.login(LIDER);
+
+  const jpeg = await sharp({
+    create: { width: 400, height: 400, channels: 3, background: "#888888" },
+  })
+    .jpeg()
+    .toBuffer();
+  fotoBase64 = `data:image/jpeg;base64,${jpeg.toString("base64")}`;
+});
+
+after(() => ambiente && ambiente.encerrar());
+
+// Chaves guardadas no bucket do mock S3, fora o índice das fotos
+const chavesNoBucket = () =>
+  [...(ambiente.mockS3.buckets.get("fotos") || new Map()).keys()].filter(
+    (chave) => !chave.startsWith("indices/")
+  );
+
+function enviarFoto(membroId, token) {
+  return ambiente.requisitar("POST", "/upload-member-photo", {
+    token: token,
+    corpo: { memberId: membroId, photoBase64: fotoBase64 },
+  });
+}
+
+test("envio de líder fica pendente e fora da área pública", async () => {
+  const { status, corpo } = await enviarFoto("1002", tokenLider);
+  assert.equal(status, 202, JSON.stringify(corpo));
+  assert.equal(corpo.pendente, true);
+  assert.equal(corpo.photoUrl, null);
+
+  const chaves = chavesNoBucket();
+  assert.ok(chaves.length > 0);
+  for (const chave of chaves) assert.match(chave, /^fotos-pendentes\//);
+
+  const publica = await ambiente.requisitar("GET", "/member-photo/1002", {
+    token: tokenLider,
+  });
+  assert.equal(publica.status, 404);
+});
+
+test("só admins veem o arquivo pendente", async () => {
+  const admin = await ambiente.requisitar(
+    "GET",
+    "/fotos/pendentes/1002/arquivo",
+    { token: tokenAdmin }
+  );
+  assert.equal(admin.status, 200);
+  assert.match(admin.tipo, /^image\//);
+  assert.ok(admin.corpo.length > 0);
+
+  const lider = await ambiente.requisitar(
+    "GET",
+    "/fotos/pendentes/1002/arquivo",
+    { token: tokenLider }
+  );
+  assert.equal(lider.status, 403);
+
+  const semToken = await ambiente.requisitar(
+    "GET",
+    "/fotos/pendentes/1002/arquivo"
+  );
+  assert.equal(semToken.status, 401);
+});
+
+test("líder não aprova o próprio envio", async () => {
+  const { status } = await ambiente.requisitar(
+    "POST",
+    "/fotos/pendentes/1002/aprovar",
+    { token: tokenLider }
+  );
+  assert.equal(status, 403);
+});
+
+test("aprovação publica a foto", async () => {
+  const { status, corpo } = await ambiente.requisitar(
+    "POST",
+    "/fotos/pendentes/1002/aprovar",
+    { token: tokenAdmin }
+  );
+  assert.equal(status, 200, JSON.stringify(corpo));
+
+  const publica = await ambiente.requisitar("GET", "/member-photo/1002", {
+    token: tokenLider,
+  });
+  assert.equal(publica.status, 200);
+  assert.ok(publica.corpo.photoUrl);
+
+  const chaves = chavesNoBucket();
+  assert.ok(chaves.some((chave) => chave.startsWith("member-photos/")));
+  assert.ok(!chaves.some((chave) => chave.startsWith("fotos-pendentes/")));
+});
+
+test("rejeição apaga os arquivos pendentes", async () => {
+  const envio = await enviarFoto("1003", tokenLider);
+  assert.equal(envio.status, 202);
+  // Os arquivos levam o ID gerado do membro, não o RI usado na rota
+  const doMembro = (chave) => chave.includes(`/${envio.corpo.memberId}_`);
+  assert.ok(chavesNoBucket().some(doMembro));
+
+  const { status } = await ambiente.requisitar(
+    "POST",
+    "/fotos/pendentes/1003/rejeitar",
+    { token: tokenAdmin }
+  );
+  assert.equal(status, 200);
+  assert.ok(!chavesNoBucket().some(doMembro));
+
+  const publica = await ambiente.requisitar("GET", "/member-photo/1003", {
+    token: tokenLider,
+  });
+  assert.equal(publica.status, 404);
+});
+
+test("líder não envia foto de membro de outro GAPE", async () => {
+  const { status } = await enviarFoto("3002", tokenLider);
+  assert.equal(status, 403);
+});
+
+test("histórico de moderação pode ser filtrado por tipo", async () => {
+  const { status, corpo } = await ambiente.requisitar(
+    "GET",
+    "/ultimos-registros?tipo=foto_pendente,foto_aprovada,foto_rejeitada&limit=100",
+    { token: tokenAdmin }
+  );
+  assert.equal(status, 200, JSON.stringify(corpo));
+  assert.deepEqual(
+    corpo.registros.map((r) => r.tipo),
+    ["foto_rejeitada", "foto_pendente", "foto_aprovada", "foto_pendente"]
+  );
+
+  const invalido = await ambiente.requisitar(
+    "GET",
+    "/ultimos-registros?tipo=foto_apagada",
+    { token: tokenAdmin }
+  );
+  assert.equal(invalido.status, 400);
+  assert.match(invalido.corpo.message, /foto_pendente/);
+});
@@ -0,0 +1,64 @@
+// Limites de risco por congregação (PUT /membros-em-risco/limites)
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarAmbiente, ADMIN, LIDER } = require("./ajudantes");
+
+let ambiente;
+let tokenAdmin;
+let tokenLider;
+
+before(async () => {
+  ambiente = await iniciarAmbiente();
+  tokenAdmin = await ambiente.login(ADMIN);
+  tokenLider = await ambiente.login(LIDER);
+});
+
+after(() => ambiente && ambiente.encerrar());
+
+function alterarLimites(corpo, token = tokenAdmin) {
+  return ambiente.requisitar("PUT", "/membros-em-risco/limites", {
+    token: token,
+    corpo: corpo,
+  });
+}
+
+test("limites só aceitam inteiros positivos", async () => {
+  for (const valor of ["3abc", 2.5, "2.5", 0, -1, "", true]) {
+    const { status } = await alterarLimites({ faltasConsecutivas: valor });
+    assert.equal(status, 400, JSON.stringify(valor));
+  }
+});
+
+test("congregação precisa existir no cadastro dos membros", async () => {
+  const { status, corpo } = await alterarLimites({
+    congregacao: "Atlântida",
+    faltasConsecutivas: 4,
+  });
+  assert.equal(status, 400);
+  assert.match(corpo.message, /Congregação desconhecida/);
+
+  const { corpo: atuais } = await ambiente.requisitar(
+    "GET",
+    "/membros-em-risco/limites",
+    { token: tokenAdmin }
+  );
+  assert.equal(atuais.limites.congregacoes["Atlântida"], undefined);
+});
+
+test("congregação é gravada como escrita no cadastro", async () => {
+  const { status, corpo } = await alterarLimites({
+    congregacao: "bras",
+    faltasConsecutivas: "4",
+  });
+  assert.equal(status, 200, JSON.stringify(corpo));
+  assert.equal(corpo.limites.congregacoes["Brás"].faltasConsecutivas, 4);
+  assert.equal(corpo.limites.congregacoes.bras, undefined);
+});
+
+test("líder não altera limites", async () => {
+  const { status } = await alterarLimites(
+    { faltasConsecutivas: 5 },
+    tokenLider
+  );
+  assert.equal(status, 403);
+});
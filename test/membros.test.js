@@ -0,0 +1,132 @@
+// Cadastro de membros: só admins mexem em Cargo, Lider e RI, e o RI (senha
+// do login) nunca vai para o log de atividades
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { iniciarAmbiente, ADMIN, LIDER } = require("./ajudantes");
+
+const NOVO_MEMBRO = {
+  Nome: "Marta Figueiredo",
+  RI: "777123",
+  GAPE: "0002 - GAPE Vida Nova",
+  Congregacao: "Brás",
+};
+
+let ambiente;
+let tokenAdmin;
+let tokenLider;
+
+before(async () => {
+  ambiente = await iniciarAmbiente();
+  tokenAdmin = await ambiente.login(ADMIN);
+  tokenLider = await ambiente.login(LIDER);
+});
+
+after(() => ambiente && ambiente.encerrar());
+
+test("líder não altera Cargo, Lider nem RI", async () => {
+  for (const campos of [
+    { Cargo: "Líder" },
+    { Lider: "Ana Paula Ribeiro" },
+    { RI: "5555" },
+  ]) {
+    const { status, corpo } = await ambiente.requisitar(
+      "PUT",
+      "/membros/1002",
+      { token: tokenLider, corpo: campos }
+    );
+    assert.equal(status, 403, JSON.stringify(campos));
+    assert.match(corpo.message, /Apenas administradores/);
+  }
+});
+
+test("líder altera campos comuns de membro do próprio GAPE", async () => {
+  const { status, corpo } = await ambiente.requisitar("PUT", "/membros/1003", {
+    token: tokenLider,
+    corpo: { Congregacao: "Mooca" },
+  });
+  assert.equal(status, 200, JSON.stringify(corpo));
+});
+
+test("líder não altera membro de outro GAPE", async () => {
+  const { status } = await ambiente.requisitar("PUT", "/membros/3002", {
+    token: tokenLider,
+    corpo: { Congregacao: "Brás" },
+  });
+  assert.equal(status, 403);
+});
+
+test("cadastro, desativação e reativação não gravam o RI no log", async () => {
+  const criado = await ambiente.requisitar("POST", "/membros", {
+    token: tokenAdmin,
+    corpo: NOVO_MEMBRO,
+  });
+  assert.equal(criado.status, 201, JSON.stringify(criado.corpo));
+  const desativado = await ambiente.requisitar("DELETE", "/membros/777123", {
+    token: tokenAdmin,
+  });
+  assert.equal(desativado.status, 200);
+  const reativado = await ambiente.requisitar(
+    "POST",
+    "/membros/777123/reativar",
+    { token: tokenAdmin }
+  );
+  assert.equal(reativado.status, 200);
+
+  const { corpo } = await ambiente.requisitar(
+    "GET",
+    "/ultimos-registros?limit=100",
+    { token: tokenAdmin }
+  );
+  const doMembro = corpo.registros.filter((r) => r.pessoa === NOVO_MEMBRO.Nome);
+  assert.deepEqual(doMembro.map((r) => r.tipo).sort(), [
+    "membro_adicionado",
+    "membro_desativado",
+    "membro_reativado",
+  ]);
+  for (const registro of doMembro) {
+    assert.equal(registro.membroId, criado.corpo.membro.ID);
+    assert.ok(!JSON.stringify(registro).includes(NOVO_MEMBRO.RI));
+  }
+
+  const csv = await ambiente.requisitar(
+    "GET",
+    "/ultimos-registros?formato=csv",
+    { token: tokenAdmin }
+  );
+  assert.equal(csv.status, 200);
+  assert.ok(csv.corpo.toString().includes(NOVO_MEMBRO.Nome));
+  assert.ok(!csv.corpo.toString().includes(NOVO_MEMBRO.RI));
+});
+
+test("RIs gravados por versões anteriores são apagados do log", async () => {
+  const diretorio = fs.mkdtempSync(path.join(os.tmpdir(), "atividades-"));
+  const arquivo = path.join(diretorio, "atividades.jsonl");
+  const antiga = {
+    id: 1,
+    dataHora: "10/06, 19:30",
+    timestampCompleto: new Date().toISOString(),
+    tipo: "membro_adicionado",
+    pessoa: "Bruno Carvalho",
+    grupo: "0001 - GAPE Esperança",
+    status: "Membro Adicionado",
+    detalhes: "RI 1002",
+    autor: "admin",
+  };
+  fs.writeFileSync(arquivo, JSON.stringify(antiga) + "\n");
+
+  const outro = await iniciarAmbiente({ ATIVIDADES_ARQUIVO: arquivo });
+  try {
+    const token = await outro.login(ADMIN);
+    const { corpo } = await outro.requisitar("GET", "/ultimos-registros", {
+      token: token,
+    });
+    assert.equal(corpo.registros[0].detalhes, "");
+    assert.ok(!fs.readFileSync(arquivo, "utf8").includes("RI 1002"));
+  } finally {
+    await outro.encerrar();
+    fs.rmSync(diretorio, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,73 @@
+// Mock do Apps Script: mesmo contrato do script real, com falhas simuladas
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { criarMockAppsScript } = require("../mock-apps-script");
+
+const TOKEN = "token-de-teste";
+
+let mock;
+let servidor;
+let url;
+
+before(async () => {
+  mock = criarMockAppsScript({ authToken: TOKEN });
+  servidor = await mock.iniciar(0);
+  url = `http://127.0.0.1:${servidor.address().port}/exec`;
+});
+
+after(() => new Promise((resolve) => servidor.close(resolve)));
+
+beforeEach(() => mock.resetar());
+
+async function consultar(tipo, token = TOKEN) {
+  const resposta = await fetch(`${url}?tipo=${tipo}&auth_token=${token}`);
+  return { status: resposta.status, texto: await resposta.text() };
+}
+
+test("responde getMembros a partir das fixtures", async () => {
+  const { status, texto } = await consultar("getMembros");
+  assert.equal(status, 200);
+  const dados = JSON.parse(texto);
+  assert.equal(dados.success, true);
+  assert.ok(dados.membros.some((m) => m.Nome === "Ana Paula Ribeiro"));
+});
+
+test("recusa token errado com success: false", async () => {
+  const { status, texto } = await consultar("getMembros", "outro-token");
+  assert.equal(status, 200);
+  assert.equal(JSON.parse(texto).success, false);
+});
+
+test("falha simulada vale só pelo número de vezes pedido", async () => {
+  mock.simularFalha("nao-json", { vezes: 1 });
+  const primeira = await consultar("getMembros");
+  assert.match(primeira.texto, /<html>/);
+
+  const segunda = await consultar("getMembros");
+  assert.equal(JSON.parse(segunda.texto).success, true);
+});
+
+test("falha restrita a POST não afeta as consultas", async () => {
+  mock.simularFalha("http-500", { tipo: "POST" });
+  const consulta = await consultar("getMembros");
+  assert.equal(consulta.status, 200);
+
+  const resposta = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ auth_token: TOKEN, nome: "Ana Paula Ribeiro" }),
+  });
+  assert.equal(resposta.status, 500);
+});
+
+test("guarda as requisições recebidas", async () => {
+  await consultar("getFaltas");
+  assert.deepEqual(
+    mock.requisicoes.map((r) => [r.metodo, r.tipo]),
+    [["GET", "getFaltas"]]
+  );
+});
+
+test("modo de falha desconhecido é recusado", () => {
+  assert.throws(() => mock.simularFalha("lento"), /desconhecido/);
+});
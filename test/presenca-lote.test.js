@@ -0,0 +1,93 @@
+// Presenças em lote: uma reunião inteira do GAPE numa única chamada
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarAmbiente, LIDER } = require("./ajudantes");
+
+const GAPE = "0001 - GAPE Esperança";
+
+let ambiente;
+let tokenLider;
+
+before(async () => {
+  ambiente = await iniciarAmbiente();
+  tokenLider = await ambiente.login(LIDER);
+});
+
+after(() => ambiente && ambiente.encerrar());
+
+beforeEach(() => ambiente.mockAppsScript.limparFalha());
+
+const postsRecebidos = () =>
+  ambiente.mockAppsScript.requisicoes.filter((r) => r.metodo === "POST");
+
+function enviarLote(membros, opcoes = {}) {
+  return ambiente.requisitar("POST", "/presenca/lote", {
+    token: opcoes.token || tokenLider,
+    corpo: { grupo: opcoes.grupo || GAPE, data: opcoes.data, membros },
+  });
+}
+
+test("lote registra todos os membros em uma única chamada", async () => {
+  const antes = postsRecebidos().length;
+  const { status, corpo } = await enviarLote(
+    [{ id: "1002" }, { id: "1003", presente: false }],
+    { data: "2025-06-10" }
+  );
+
+  assert.equal(status, 200, JSON.stringify(corpo));
+  assert.equal(corpo.registrados, 2);
+  assert.equal(corpo.data, "10/06/2025");
+  assert.deepEqual(
+    corpo.resultados.map((r) => [r.nome, r.acao, r.success]),
+    [
+      ["Bruno Carvalho", "marcar", true],
+      ["Cecília Gonçalves", "ausencia", true],
+    ]
+  );
+
+  const posts = postsRecebidos().slice(antes);
+  assert.equal(posts.length, 1);
+  assert.equal(posts[0].body.acao, "lote");
+  assert.equal(posts[0].body.registros.length, 2);
+});
+
+test("lote com membro de outro GAPE tem sucesso parcial", async () => {
+  const { status, corpo } = await enviarLote([{ id: "1002" }, { id: "3002" }], {
+    data: "2025-06-11",
+  });
+
+  assert.equal(status, 207);
+  assert.equal(corpo.registrados, 1);
+  const falha = corpo.resultados.find((r) => !r.success);
+  assert.match(falha.message, /pertence ao grupo/);
+});
+
+test("líder não envia lote de outro GAPE", async () => {
+  const { status } = await enviarLote([{ id: "3002" }], {
+    grupo: "0003 - GAPE Caminho",
+    data: "2025-06-11",
+  });
+  assert.equal(status, 403);
+});
+
+test("lote recusa datas impossíveis", async () => {
+  const { status, corpo } = await enviarLote([{ id: "1002" }], {
+    data: "2025-02-30",
+  });
+  assert.equal(status, 400);
+  assert.match(corpo.message, /Data inválida/);
+});
+
+test("registro sem resultado do Apps Script não conta como sucesso", async () => {
+  ambiente.mockAppsScript.simularFalha("sem-resultados", {
+    vezes: 1,
+    tipo: "POST",
+  });
+  const { status, corpo } = await enviarLote([{ id: "1002" }], {
+    data: "2025-06-12",
+  });
+
+  assert.equal(status, 502);
+  assert.equal(corpo.registrados, 0);
+  assert.match(corpo.resultados[0].message, /não confirmado/);
+});
@@ -0,0 +1,136 @@
+// ------------------------------------------------------
+// Transportes de e-mail usados pelo resumo semanal dos líderes
+// ------------------------------------------------------
+// Todos expõem a mesma interface:
+//
+//   const transporte = criarTransporteEmail("smtp", { ... });
+//   await transporte.enviar({ para, copia, assunto, texto, html });
+//
+// "smtp"    -> envia via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, ...)
+// "arquivo" -> grava cada mensagem como .eml em um diretório (testes locais)
+// "console" -> apenas imprime a mensagem no log
+const path = require("path");
+const fs = require("fs");
+
+const TIPOS_TRANSPORTE = ["smtp", "arquivo", "console"];
+
+// Cabeçalho com acentos em "encoded-words" UTF-8/base64 (RFC 2047), cada uma
+// com até 75 caracteres e sem quebrar um caractere entre duas delas
+function codificarCabecalho(texto) {
+  const valor = String(texto);
+  if (/^[\x20-\x7e]*$/.test(valor)) return valor;
+
+  const palavras = [];
+  let bytes = [];
+  for (const caractere of valor) {
+    const codificado = Buffer.from(caractere, "utf8");
+    if (bytes.length + codificado.length > 45) {
+      palavras.push(Buffer.from(bytes));
+      bytes = [];
+    }
+    bytes.push(...codificado);
+  }
+  if (bytes.length) palavras.push(Buffer.from(bytes));
+  return palavras
+    .map((p) => `=?UTF-8?B?${p.toString("base64")}?=`)
+    .join("\r\n ");
+}
+
+function criarTransporteSmtp(options) {
+  const nodemailer = require("nodemailer");
+  const porta = parseInt(options.porta) || 587;
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: porta,
+    secure: options.seguro !== undefined ? options.seguro : porta === 465,
+    auth: options.usuario
+      ? { user: options.usuario, pass: options.senha }
+      : undefined,
+  });
+
+  return {
+    nome: "smtp",
+    async enviar(mensagem) {
+      const info = await transporter.sendMail({
+        from: options.remetente,
+        to: mensagem.para,
+        cc: mensagem.copia,
+        subject: mensagem.assunto,
+        text: mensagem.texto,
+        html: mensagem.html,
+      });
+      return { id: info.messageId };
+    },
+  };
+}
+
+function criarTransporteArquivo(options) {
+  const diretorio =
+    options.diretorio || path.join(__dirname, "data", "resumos-enviados");
+
+  return {
+    nome: "arquivo",
+    async enviar(mensagem) {
+      fs.mkdirSync(diretorio, { recursive: true });
+      const id = `${Date.now()}_${String(mensagem.para).replace(
+        /[^a-zA-Z0-9]/g,
+        "_"
+      )}`;
+      const arquivo = path.join(diretorio, `${id}.eml`);
+      const cabecalhos = [
+        `From: ${options.remetente || ""}`,
+        `To: ${[].concat(mensagem.para).join(", ")}`,
+        mensagem.copia && mensagem.copia.length
+          ? `Cc: ${[].concat(mensagem.copia).join(", ")}`
+          : null,
+        `Subject: ${codificarCabecalho(mensagem.assunto)}`,
+        `Date: ${new Date().toUTCString()}`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: 8bit",
+      ].filter(Boolean);
+      fs.writeFileSync(
+        arquivo,
+        `${cabecalhos.join("\r\n")}\r\n\r\n${mensagem.texto}`
+      );
+      return { id: id, arquivo: arquivo };
+    },
+  };
+}
+
+function criarTransporteConsole() {
+  return {
+    nome: "console",
+    async enviar(mensagem) {
+      console.log(
+        `📧 [console] Para: ${[].concat(mensagem.para).join(", ")} | ${
+          mensagem.assunto
+        }\n${mensagem.texto}`
+      );
+      return { id: `console_${Date.now()}` };
+    },
+  };
+}
+
+// options: { host, porta, seguro, usuario, senha, remetente, diretorio }
+function criarTransporteEmail(tipo, options = {}) {
+  switch (tipo) {
+    case "smtp":
+      if (!options.host) {
+        throw new Error("SMTP_HOST não configurado para o transporte smtp");
+      }
+      return criarTransporteSmtp(options);
+    case "arquivo":
+      return criarTransporteArquivo(options);
+    case "console":
+      return criarTransporteConsole();
+    default:
+      throw new Error(
+        `Transporte de e-mail desconhecido: "${tipo}" (use ${TIPOS_TRANSPORTE.join(
+          ", "
+        )})`
+      );
+  }
+}
+
+module.exports = { criarTransporteEmail, TIPOS_TRANSPORTE };